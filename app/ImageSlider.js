@@ -3,7 +3,28 @@
 import { useState, useRef, useEffect, useCallback } from 'react'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
-import { Palette, Download, Loader2 } from 'lucide-react'
+import { Palette, Download, Loader2, FileDown, Columns2, Contrast, Brush, SlidersHorizontal, RotateCcw, Upload, Plus, X, Sun, Sticker, Crop, Feather, MousePointerClick } from 'lucide-react'
+import {
+  TRANSPARENT_BACKGROUND,
+  BACKGROUND_TYPES,
+  BACKGROUND_FITS,
+  DEFAULT_BACKGROUND,
+  DEFAULT_SHADOW,
+  DEFAULT_OUTLINE,
+  DEFAULT_CROP,
+  ASPECT_PRESETS,
+  isTransparentBackground,
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_SETTINGS,
+  isFormatSupported,
+  loadImage,
+  composeImage,
+  exportImage,
+  getExportFilename,
+  downloadBlob,
+  encodeMask
+} from './image-export'
+import { DEFAULT_MASK_SETTINGS, DETAIL_MODES, isDefaultMaskSettings } from './mask-processing'
 
 /**
  * Custom hook for slider drag functionality
@@ -173,47 +194,45 @@ function useSliderDrag(containerRef, setSliderPosition) {
  */
 function ImageLayer({
   imageSrc,
+  originalSrc = null,
   altText,
   label,
   position = 'left',
   sliderPosition,
-  backgroundColor = null
+  background = null,
+  shadow = DEFAULT_SHADOW,
+  outline = DEFAULT_OUTLINE,
+  crop = DEFAULT_CROP
 }) {
   const clipPath = position === 'left'
     ? `inset(0 ${100 - sliderPosition}% 0 0)`
     : `inset(0 0 0 ${sliderPosition}%)`
 
-  // For processed image with background color, we need to composite it
+  // For processed image with a background, we need to composite it
   const [compositedImage, setCompositedImage] = useState(null)
   const imageRef = useRef(null)
 
   useEffect(() => {
-    if (position === 'right' && backgroundColor && imageSrc) {
-      // Create a composited image with background color
-      const img = new Image()
-      img.crossOrigin = 'anonymous'
-      img.onload = () => {
-        const canvas = document.createElement('canvas')
-        canvas.width = img.width
-        canvas.height = img.height
-        const ctx = canvas.getContext('2d')
-        
-        // Fill with background color
-        ctx.fillStyle = backgroundColor
-        ctx.fillRect(0, 0, canvas.width, canvas.height)
-        
-        // Draw the image on top (with transparency)
-        ctx.drawImage(img, 0, 0)
-        
-        setCompositedImage(canvas.toDataURL())
-      }
-      img.src = imageSrc
+    let cancelled = false
+    if (background && imageSrc) {
+      // Create a composited image with the background
+      const needsOriginal = background.type === 'portrait' && originalSrc
+      Promise.all([loadImage(imageSrc), needsOriginal ? loadImage(originalSrc) : null])
+        .then(([img, originalImage]) => composeImage(img, { background, shadow, outline, crop, preview: true, originalImage }))
+        .then((canvas) => {
+          // Ignore results for a background or image that has since changed
+          if (!cancelled) setCompositedImage(canvas.toDataURL())
+        })
+        .catch((error) => console.error('Preview compositing error:', error))
     } else {
       setCompositedImage(null)
     }
-  }, [imageSrc, backgroundColor, position])
+    return () => {
+      cancelled = true
+    }
+  }, [imageSrc, originalSrc, background, shadow, outline, crop, position])
 
-  const displaySrc = position === 'right' && compositedImage ? compositedImage : imageSrc
+  const displaySrc = compositedImage ?? imageSrc
 
   return (
     <div className="absolute inset-0 overflow-hidden">
@@ -273,10 +292,125 @@ function SliderHandle({
   )
 }
 
+// CSS equivalent of the canvas gradient, used for the swatch preview
+function getGradientCss({ gradientType, gradientAngle, gradientStops }) {
+  const stops = [...gradientStops]
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, color }) => `${color} ${Math.round(offset * 100)}%`)
+    .join(', ')
+  return gradientType === 'radial'
+    ? `radial-gradient(circle, ${stops})`
+    : `linear-gradient(${gradientAngle}deg, ${stops})`
+}
+
+/**
+ * Gradient Editor Component
+ */
+function GradientEditor({ background, onChange }) {
+  const { gradientStops } = background
+
+  const updateStop = (index, changes) => {
+    onChange({
+      gradientStops: gradientStops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop))
+    })
+  }
+
+  const addStop = () => {
+    // Insert halfway into the widest gap between neighbouring stops
+    const sorted = [...gradientStops].sort((a, b) => a.offset - b.offset)
+    let gapStart = sorted[0]
+    let gapSize = -1
+    for (let i = 0; i < sorted.length - 1; i++) {
+      if (sorted[i + 1].offset - sorted[i].offset > gapSize) {
+        gapStart = sorted[i]
+        gapSize = sorted[i + 1].offset - sorted[i].offset
+      }
+    }
+    onChange({ gradientStops: [...gradientStops, { offset: gapStart.offset + gapSize / 2, color: gapStart.color }] })
+  }
+
+  return (
+    <div className="space-y-3">
+      {/* Swatch Preview */}
+      <div
+        className="w-full h-8 rounded border border-border"
+        style={{ backgroundImage: getGradientCss(background) }}
+      />
+
+      <div className="grid grid-cols-2 gap-2">
+        {['linear', 'radial'].map((type) => (
+          <Button
+            key={type}
+            type="button"
+            variant={background.gradientType === type ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onChange({ gradientType: type })}
+            className="text-xs capitalize"
+          >
+            {type}
+          </Button>
+        ))}
+      </div>
+
+      {background.gradientType === 'linear' && (
+        <SliderRow
+          label="Angle"
+          value={background.gradientAngle}
+          min={0}
+          max={360}
+          step={5}
+          format={(v) => `${v}°`}
+          onChange={(gradientAngle) => onChange({ gradientAngle })}
+        />
+      )}
+
+      {/* Color Stops */}
+      {gradientStops.map((stop, index) => (
+        <div key={index} className="flex items-center gap-3">
+          <input
+            type="color"
+            value={stop.color}
+            onChange={(e) => updateStop(index, { color: e.target.value })}
+            className="w-10 h-7 rounded border border-border cursor-pointer"
+          />
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.01"
+            value={stop.offset}
+            onChange={(e) => updateStop(index, { offset: parseFloat(e.target.value) })}
+            className="flex-1 accent-primary"
+          />
+          <span className="text-xs w-10 text-right">{Math.round(stop.offset * 100)}%</span>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            disabled={gradientStops.length <= 2}
+            onClick={() => onChange({ gradientStops: gradientStops.filter((_, i) => i !== index) })}
+            title="Remove stop"
+          >
+            <X className="h-3 w-3" />
+          </Button>
+        </div>
+      ))}
+      <Button type="button" variant="outline" size="sm" onClick={addStop} className="w-full">
+        <Plus className="h-3 w-3" />
+        Add Stop
+      </Button>
+    </div>
+  )
+}
+
 /**
- * Background Color Picker Component
+ * Background Picker Component
  */
-function BackgroundColorPicker({ color, onChange }) {
+function BackgroundPicker({ background, onChange, images = [], onImageUpload }) {
+  const { color } = background
+  const isTransparent = color === TRANSPARENT_BACKGROUND
+  const fileInputRef = useRef(null)
+  const update = (changes) => onChange({ ...background, ...changes })
   const presetColors = [
     '#ffffff', // White
     '#000000', // Black
@@ -297,48 +431,734 @@ function BackgroundColorPicker({ color, onChange }) {
       <CardHeader className="pb-3">
         <CardTitle className="text-sm flex items-center gap-2">
           <Palette className="h-4 w-4" />
-          Background Color
+          Background
+          {background.type === 'color' && isTransparent && (
+            <span className="text-xs font-normal text-muted-foreground">(Transparent)</span>
+          )}
         </CardTitle>
       </CardHeader>
       <CardContent className="space-y-3">
-        {/* Color Input */}
-        <div className="flex items-center gap-3">
-          <label className="text-xs text-muted-foreground">Custom Color:</label>
-          <div className="flex items-center gap-2 flex-1">
-            <input
-              type="color"
-              value={color}
-              onChange={(e) => onChange(e.target.value)}
-              className="w-12 h-8 rounded border border-border cursor-pointer"
+        {/* Background Type */}
+        <div className="grid grid-cols-4 gap-2">
+          {Object.entries(BACKGROUND_TYPES).map(([id, typeLabel]) => (
+            <Button
+              key={id}
+              type="button"
+              variant={background.type === id ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => update({ type: id })}
+              className="text-xs px-1"
+            >
+              {typeLabel}
+            </Button>
+          ))}
+        </div>
+
+        {background.type === 'gradient' && (
+          <GradientEditor background={background} onChange={update} />
+        )}
+
+        {background.type === 'portrait' && (
+          <div className="space-y-3">
+            <SliderRow
+              label="Blur"
+              value={background.portraitBlur}
+              min={0.5}
+              max={10}
+              step={0.5}
+              format={(v) => `${v}%`}
+              onChange={(portraitBlur) => update({ portraitBlur })}
+            />
+            <SliderRow
+              label="Desaturate"
+              value={background.portraitDesaturate}
+              min={0}
+              max={1}
+              step={0.05}
+              format={(v) => `${Math.round(v * 100)}%`}
+              onChange={(portraitDesaturate) => update({ portraitDesaturate })}
             />
+            <p className="text-xs text-muted-foreground">
+              The subject stays sharp over a blurred copy of the original photo.
+            </p>
+          </div>
+        )}
+
+        {background.type === 'image' && (
+          <div className="space-y-3">
+            {/* Background Images */}
+            <div className="grid grid-cols-6 gap-2">
+              {images.map((image) => (
+                <button
+                  key={image.id}
+                  type="button"
+                  onClick={() => update({ imageUrl: image.url })}
+                  className={`w-full h-10 rounded border-2 overflow-hidden transition-all hover:scale-110 ${
+                    background.imageUrl === image.url ? 'border-primary ring-2 ring-primary/20' : 'border-border'
+                  }`}
+                  title={image.name}
+                >
+                  <img src={image.url} alt={image.name} className="w-full h-full object-cover no-hover-effect" />
+                </button>
+              ))}
+              {onImageUpload && (
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="w-full h-10 rounded border-2 border-dashed border-border flex items-center justify-center text-muted-foreground hover:border-primary"
+                  title="Upload background image"
+                >
+                  <Upload className="h-4 w-4" />
+                </button>
+              )}
+            </div>
             <input
-              type="text"
-              value={color}
-              onChange={(e) => onChange(e.target.value)}
-              className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
-              placeholder="#ffffff"
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files[0]
+                if (file) onImageUpload(file)
+                e.target.value = ''
+              }}
             />
+
+            {/* Fit Mode */}
+            <div className="grid grid-cols-4 gap-2">
+              {Object.entries(BACKGROUND_FITS).map(([id, fitLabel]) => (
+                <Button
+                  key={id}
+                  type="button"
+                  variant={background.fit === id ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => update({ fit: id })}
+                  className="text-xs px-1"
+                >
+                  {fitLabel}
+                </Button>
+              ))}
+            </div>
+
+            {/* Position Offset (stretched images always fill the canvas) */}
+            {background.fit !== 'stretch' && (
+              <>
+                <SliderRow
+                  label="Horizontal"
+                  value={background.positionX}
+                  min={0}
+                  max={100}
+                  format={(v) => `${v}%`}
+                  onChange={(positionX) => update({ positionX })}
+                />
+                <SliderRow
+                  label="Vertical"
+                  value={background.positionY}
+                  min={0}
+                  max={100}
+                  format={(v) => `${v}%`}
+                  onChange={(positionY) => update({ positionY })}
+                />
+              </>
+            )}
+
+            <p className="text-xs text-muted-foreground">
+              {images.length === 0
+                ? 'Upload an image to place the subject on it.'
+                : 'Areas the image does not cover are filled with the color below.'}
+            </p>
           </div>
+        )}
+
+        {/* Fill Color (solid backgrounds and areas an image does not cover) */}
+        {(background.type === 'color' || background.type === 'image') && (
+          <>
+            <div className="flex items-center gap-3">
+              <label className="text-xs text-muted-foreground">Custom Color:</label>
+              <div className="flex items-center gap-2 flex-1">
+                <input
+                  type="color"
+                  value={isTransparent ? '#ffffff' : color}
+                  onChange={(e) => update({ color: e.target.value })}
+                  className="w-12 h-8 rounded border border-border cursor-pointer"
+                />
+                <input
+                  type="text"
+                  value={color}
+                  onChange={(e) => update({ color: e.target.value })}
+                  className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+                  placeholder="#ffffff"
+                />
+              </div>
+            </div>
+
+            {/* Preset Colors */}
+            <div>
+              <label className="text-xs text-muted-foreground mb-2 block">Preset Colors:</label>
+              <div className="grid grid-cols-6 gap-2">
+                {/* Transparent keeps the alpha channel in the preview and the download */}
+                <button
+                  type="button"
+                  onClick={() => update({ color: TRANSPARENT_BACKGROUND })}
+                  className={`w-full h-8 rounded border-2 transition-all hover:scale-110 ${
+                    isTransparent ? 'border-primary ring-2 ring-primary/20' : 'border-border'
+                  }`}
+                  style={{
+                    backgroundImage: 'repeating-conic-gradient(#d4d4d4 0% 25%, #ffffff 0% 50%)',
+                    backgroundSize: '8px 8px'
+                  }}
+                  title="Transparent"
+                />
+                {presetColors.map((presetColor) => (
+                  <button
+                    key={presetColor}
+                    type="button"
+                    onClick={() => update({ color: presetColor })}
+                    className={`w-full h-8 rounded border-2 transition-all hover:scale-110 ${
+                      color === presetColor ? 'border-primary ring-2 ring-primary/20' : 'border-border'
+                    }`}
+                    style={{ backgroundColor: presetColor }}
+                    title={presetColor}
+                  />
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Sticker Outline Picker Component
+ */
+function OutlinePicker({ outline, onChange }) {
+  const update = (changes) => onChange({ ...outline, ...changes })
+
+  return (
+    <Card className="mt-4">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Sticker className="h-4 w-4" />
+          Sticker Outline
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-xs">
+            <input
+              type="checkbox"
+              checked={outline.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+              className="accent-primary"
+            />
+            Outline
+          </label>
+          <label className="flex items-center gap-2 text-xs">
+            <input
+              type="checkbox"
+              checked={outline.shadow}
+              disabled={!outline.enabled}
+              onChange={(e) => update({ shadow: e.target.checked })}
+              className="accent-primary"
+            />
+            Sticker shadow
+          </label>
+          <input
+            type="color"
+            value={outline.color}
+            onChange={(e) => update({ color: e.target.value })}
+            className="w-10 h-7 ml-auto rounded border border-border cursor-pointer"
+            title="Outline color"
+          />
         </div>
 
-        {/* Preset Colors */}
-        <div>
-          <label className="text-xs text-muted-foreground mb-2 block">Preset Colors:</label>
-          <div className="grid grid-cols-6 gap-2">
-            {presetColors.map((presetColor) => (
-              <button
-                key={presetColor}
-                type="button"
-                onClick={() => onChange(presetColor)}
-                className={`w-full h-8 rounded border-2 transition-all hover:scale-110 ${
-                  color === presetColor ? 'border-primary ring-2 ring-primary/20' : 'border-border'
-                }`}
-                style={{ backgroundColor: presetColor }}
-                title={presetColor}
+        {outline.enabled && (
+          <>
+            <SliderRow
+              label="Width"
+              value={outline.width}
+              min={0.5}
+              max={10}
+              step={0.5}
+              format={(v) => `${v}%`}
+              onChange={(width) => update({ width })}
+            />
+            <p className="text-xs text-muted-foreground">
+              The image grows so the outline is never cut off. Pick a transparent background for PNG or WebP stickers.
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Auto-crop Picker Component
+ */
+function CropPicker({ crop, onChange }) {
+  const update = (changes) => onChange({ ...crop, ...changes })
+  const isPercent = crop.paddingUnit === 'percent'
+
+  return (
+    <Card className="mt-4">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Crop className="h-4 w-4" />
+          Auto-crop
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <label className="flex items-center gap-2 text-xs">
+          <input
+            type="checkbox"
+            checked={crop.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="accent-primary"
+          />
+          Crop to the subject
+        </label>
+
+        {crop.enabled && (
+          <>
+            {/* Padding */}
+            <div className="flex items-center gap-3">
+              <div className="flex-1">
+                <SliderRow
+                  label="Padding"
+                  value={crop.padding}
+                  min={0}
+                  max={isPercent ? 50 : 500}
+                  step={isPercent ? 1 : 5}
+                  format={(v) => (isPercent ? `${v}%` : `${v}px`)}
+                  onChange={(padding) => update({ padding })}
+                />
+              </div>
+              <div className="flex gap-1">
+                {['percent', 'px'].map((unit) => (
+                  <Button
+                    key={unit}
+                    type="button"
+                    variant={crop.paddingUnit === unit ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => update({ paddingUnit: unit, padding: DEFAULT_CROP.padding * (unit === 'px' ? 10 : 1) })}
+                    className="text-xs px-2"
+                  >
+                    {unit === 'percent' ? '%' : 'px'}
+                  </Button>
+                ))}
+              </div>
+            </div>
+
+            {/* Aspect Ratio */}
+            <div className="grid grid-cols-5 gap-2">
+              {Object.entries(ASPECT_PRESETS).map(([id, preset]) => (
+                <Button
+                  key={id}
+                  type="button"
+                  variant={crop.aspect === id ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => update({ aspect: id })}
+                  className="text-xs px-1"
+                >
+                  {preset.label}
+                </Button>
+              ))}
+            </div>
+            {crop.aspect === 'custom' && (
+              <div className="flex items-center gap-2">
+                <label className="text-xs text-muted-foreground w-20">Ratio</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={crop.customAspectWidth}
+                  onChange={(e) => update({ customAspectWidth: Math.max(1, parseFloat(e.target.value) || 1) })}
+                  className="w-16 px-2 py-1 text-xs border border-border rounded bg-background"
+                />
+                <span className="text-xs text-muted-foreground">:</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={crop.customAspectHeight}
+                  onChange={(e) => update({ customAspectHeight: Math.max(1, parseFloat(e.target.value) || 1) })}
+                  className="w-16 px-2 py-1 text-xs border border-border rounded bg-background"
+                />
+              </div>
+            )}
+
+            {/* Target Size */}
+            <div className="flex items-center gap-2">
+              <label className="text-xs text-muted-foreground w-20">Output size</label>
+              <input
+                type="number"
+                min="0"
+                step="100"
+                value={crop.outputSize || ''}
+                placeholder="Original"
+                onChange={(e) => update({ outputSize: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                className="w-24 px-2 py-1 text-xs border border-border rounded bg-background"
               />
-            ))}
+              <span className="text-xs text-muted-foreground">px, longer side</span>
+            </div>
+
+            <p className="text-xs text-muted-foreground">
+              The preview dims everything outside the crop frame. Downloads and &quot;Export all&quot; are cropped.
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Shadow Picker Component
+ */
+function ShadowPicker({ shadow, onChange }) {
+  const update = (changes) => onChange({ ...shadow, ...changes })
+
+  return (
+    <Card className="mt-4">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Sun className="h-4 w-4" />
+          Shadow
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-xs">
+            <input
+              type="checkbox"
+              checked={shadow.drop}
+              onChange={(e) => update({ drop: e.target.checked })}
+              className="accent-primary"
+            />
+            Drop shadow
+          </label>
+          <label className="flex items-center gap-2 text-xs">
+            <input
+              type="checkbox"
+              checked={shadow.contact}
+              onChange={(e) => update({ contact: e.target.checked })}
+              className="accent-primary"
+            />
+            Contact shadow
+          </label>
+          <input
+            type="color"
+            value={shadow.color}
+            onChange={(e) => update({ color: e.target.value })}
+            className="w-10 h-7 ml-auto rounded border border-border cursor-pointer"
+            title="Shadow color"
+          />
+        </div>
+
+        {shadow.drop && (
+          <>
+            <SliderRow
+              label="Offset X"
+              value={shadow.offsetX}
+              min={-10}
+              max={10}
+              step={0.5}
+              format={(v) => `${v}%`}
+              onChange={(offsetX) => update({ offsetX })}
+            />
+            <SliderRow
+              label="Offset Y"
+              value={shadow.offsetY}
+              min={-10}
+              max={10}
+              step={0.5}
+              format={(v) => `${v}%`}
+              onChange={(offsetY) => update({ offsetY })}
+            />
+            <SliderRow
+              label="Blur"
+              value={shadow.blur}
+              min={0}
+              max={10}
+              step={0.5}
+              format={(v) => `${v}%`}
+              onChange={(blur) => update({ blur })}
+            />
+            <SliderRow
+              label="Opacity"
+              value={shadow.opacity}
+              min={0}
+              max={1}
+              step={0.05}
+              format={(v) => `${Math.round(v * 100)}%`}
+              onChange={(opacity) => update({ opacity })}
+            />
+          </>
+        )}
+
+        {shadow.contact && (
+          <SliderRow
+            label="Contact"
+            value={shadow.contactOpacity}
+            min={0}
+            max={1}
+            step={0.05}
+            format={(v) => `${Math.round(v * 100)}%`}
+            onChange={(contactOpacity) => update({ contactOpacity })}
+          />
+        )}
+
+        <p className="text-xs text-muted-foreground">
+          Sizes are relative to the image, so every image in a batch gets the same look.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Export Format Picker Component
+ */
+function ExportFormatPicker({ settings, onChange, processedImage, originalImage, background, shadow, outline, crop }) {
+  const [estimate, setEstimate] = useState(null)
+  const format = EXPORT_FORMATS[settings.format]
+
+  // Encode in the background to show a live size estimate for the current settings
+  useEffect(() => {
+    if (!processedImage) return
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      exportImage(processedImage, { background, shadow, outline, crop, originalUrl: originalImage, ...settings })
+        .then((blob) => {
+          if (!cancelled) setEstimate({ size: blob.size })
+        })
+        .catch((error) => {
+          if (!cancelled) setEstimate({ error: error.message })
+        })
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [processedImage, originalImage, background, shadow, outline, crop, settings])
+
+  return (
+    <Card className="mt-4">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <FileDown className="h-4 w-4" />
+          Output Format
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {/* Format Options */}
+        <div className="grid grid-cols-5 gap-2">
+          {Object.entries(EXPORT_FORMATS).map(([id, option]) => (
+            <Button
+              key={id}
+              type="button"
+              variant={settings.format === id ? 'default' : 'outline'}
+              size="sm"
+              disabled={!isFormatSupported(id)}
+              onClick={() => onChange({ ...settings, format: id })}
+              title={isFormatSupported(id) ? option.mimeType : `${option.label} is not supported by this browser`}
+              className="text-xs px-1"
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+
+        {/* Quality Slider (lossy formats only) */}
+        {format.lossy && (
+          <div className="flex items-center gap-3">
+            <label className="text-xs text-muted-foreground">Quality:</label>
+            <input
+              type="range"
+              min="0.1"
+              max="1"
+              step="0.05"
+              value={settings.quality}
+              onChange={(e) => onChange({ ...settings, quality: parseFloat(e.target.value) })}
+              className="flex-1 accent-primary"
+            />
+            <span className="text-xs w-10 text-right">{Math.round(settings.quality * 100)}%</span>
           </div>
+        )}
+
+        {!format.alpha && isTransparentBackground(background) && (
+          <p className="text-xs text-muted-foreground">
+            {format.label} has no alpha channel; the image will be flattened onto white.
+          </p>
+        )}
+
+        {/* Estimated File Size */}
+        {estimate && (
+          <p className="text-xs text-muted-foreground">
+            {estimate.error
+              ? estimate.error
+              : `Estimated size: ${(estimate.size / 1024).toFixed(1)} KB (.${format.extension})`}
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Labelled range input used by the adjustment cards
+ */
+function SliderRow({ label, value, min, max, step = 1, format = (v) => v, onChange }) {
+  return (
+    <div className="flex items-center gap-3">
+      <label className="text-xs text-muted-foreground w-20">{label}:</label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 accent-primary"
+      />
+      <span className="text-xs w-14 text-right">{format(value)}</span>
+    </div>
+  )
+}
+
+/**
+ * Mask Adjustments Component
+ */
+function MaskAdjustments({ settings, onChange, refining }) {
+  const update = (key) => (value) => onChange({ ...settings, [key]: value })
+
+  return (
+    <Card className="mt-4">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <SlidersHorizontal className="h-4 w-4" />
+          Mask Adjustments
+          {refining && <Loader2 className="h-3 w-3 animate-spin text-muted-foreground" />}
+          <Button
+            variant="ghost"
+            size="sm"
+            className="ml-auto h-6 text-xs"
+            disabled={isDefaultMaskSettings(settings)}
+            onClick={() => onChange(DEFAULT_MASK_SETTINGS)}
+          >
+            <RotateCcw className="h-3 w-3" />
+            Reset
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <SliderRow
+          label="Keep"
+          value={settings.keepRegions ?? DEFAULT_MASK_SETTINGS.keepRegions}
+          min={0}
+          max={10}
+          format={(v) => (v === 0 ? 'All' : `${v} largest`)}
+          onChange={update('keepRegions')}
+        />
+        <SliderRow
+          label="Min area"
+          value={settings.minRegionArea ?? DEFAULT_MASK_SETTINGS.minRegionArea}
+          min={0}
+          max={5}
+          step={0.05}
+          format={(v) => (v === 0 ? 'Off' : `${v}%`)}
+          onChange={update('minRegionArea')}
+        />
+        <SliderRow
+          label="Fill holes"
+          value={settings.maxHoleArea ?? DEFAULT_MASK_SETTINGS.maxHoleArea}
+          min={0}
+          max={5}
+          step={0.05}
+          format={(v) => (v === 0 ? 'Off' : `${v}%`)}
+          onChange={update('maxHoleArea')}
+        />
+        <SliderRow
+          label="Threshold"
+          value={settings.threshold}
+          min={0}
+          max={254}
+          format={(v) => (v === 0 ? 'Off' : v)}
+          onChange={update('threshold')}
+        />
+        <SliderRow
+          label="Gamma"
+          value={settings.gamma}
+          min={0.2}
+          max={5}
+          step={0.05}
+          format={(v) => v.toFixed(2)}
+          onChange={update('gamma')}
+        />
+        <SliderRow
+          label="Feather"
+          value={settings.feather}
+          min={0}
+          max={50}
+          format={(v) => `${v}px`}
+          onChange={update('feather')}
+        />
+        <SliderRow
+          label="Choke"
+          value={settings.choke}
+          min={-50}
+          max={50}
+          format={(v) => `${v > 0 ? '+' : ''}${v}px`}
+          onChange={update('choke')}
+        />
+        <SliderRow
+          label="Decontaminate"
+          value={settings.decontaminate}
+          min={0}
+          max={1}
+          step={0.05}
+          format={(v) => (v === 0 ? 'Off' : `${Math.round(v * 100)}%`)}
+          onChange={update('decontaminate')}
+        />
+        <SliderRow
+          label="Matte in"
+          value={settings.mattingInner ?? DEFAULT_MASK_SETTINGS.mattingInner}
+          min={0}
+          max={40}
+          format={(v) => (v === 0 ? 'Off' : `${v}px`)}
+          onChange={update('mattingInner')}
+        />
+        <SliderRow
+          label="Matte out"
+          value={settings.mattingOuter ?? DEFAULT_MASK_SETTINGS.mattingOuter}
+          min={0}
+          max={40}
+          format={(v) => (v === 0 ? 'Off' : `${v}px`)}
+          onChange={update('mattingOuter')}
+        />
+        <div className="flex items-center gap-3">
+          <label htmlFor="detail-select" className="text-xs text-muted-foreground w-20">Detail:</label>
+          <select
+            id="detail-select"
+            value={settings.detail ?? DEFAULT_MASK_SETTINGS.detail}
+            onChange={(e) => update('detail')(e.target.value)}
+            className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+          >
+            {Object.entries(DETAIL_MODES).map(([id, mode]) => (
+              <option key={id} value={id}>{mode.label}</option>
+            ))}
+          </select>
         </div>
+        <p className="text-xs text-muted-foreground">
+          Keep, Min area and Fill holes remove speckles and fill holes up to a share of the image area; the
+          Mask view marks what they changed. Positive choke contracts the edge, negative expands it. Decontaminate removes background color
+          fringes from soft edges. Detail refines the edges of large images against the full-resolution
+          photo; Best is the sharpest and slowest. Matte in and out set how far inside and outside the edge
+          alpha is re-estimated from the colors, for hair and fur. Settings are saved with this image.
+        </p>
       </CardContent>
     </Card>
   )
@@ -350,12 +1170,34 @@ function BackgroundColorPicker({ color, onChange }) {
 export default function ImageSlider({
   originalImage,
   processedImage,
+  maskImage,
+  rawMask,
+  unmattedImage,
+  regionPreview,
   imageName,
-  backgroundColor = '#ffffff',
-  onBackgroundColorChange
+  background = DEFAULT_BACKGROUND,
+  onBackgroundChange,
+  backgroundImages = [],
+  onBackgroundImageUpload,
+  shadow = DEFAULT_SHADOW,
+  onShadowChange,
+  outline = DEFAULT_OUTLINE,
+  onOutlineChange,
+  crop = DEFAULT_CROP,
+  onCropChange,
+  exportSettings = DEFAULT_EXPORT_SETTINGS,
+  onExportSettingsChange,
+  onEditMask,
+  onSelectSubject,
+  maskSettings = DEFAULT_MASK_SETTINGS,
+  onMaskSettingsChange,
+  refining = false
 }) {
   const [sliderPosition, setSliderPosition] = useState(50)
   const [downloading, setDownloading] = useState(false)
+  const [viewMode, setViewMode] = useState('compare') // 'compare', 'mask' or 'matting'
+  // Matting comparison falls back to the normal comparison once matting is turned off
+  const comparingMatting = viewMode === 'matting' && unmattedImage
   const containerRef = useRef(null)
 
   const {
@@ -371,99 +1213,170 @@ export default function ImageSlider({
 
     setDownloading(true)
     try {
-      // Create an image element to load the processed image
-      const img = new Image()
-      
-      await new Promise((resolve, reject) => {
-        img.onload = resolve
-        img.onerror = reject
-        img.src = processedImage
+      const blob = await exportImage(processedImage, {
+        background,
+        shadow,
+        outline,
+        crop,
+        originalUrl: originalImage,
+        format: exportSettings.format,
+        quality: exportSettings.quality
       })
-
-      // Create canvas
-      const canvas = document.createElement('canvas')
-      canvas.width = img.width
-      canvas.height = img.height
-      const ctx = canvas.getContext('2d')
-
-      // Fill with background color
-      ctx.fillStyle = backgroundColor
-      ctx.fillRect(0, 0, canvas.width, canvas.height)
-
-      // Draw the processed image on top (with transparency)
-      ctx.drawImage(img, 0, 0)
-
-      // Convert canvas to blob and download
-      canvas.toBlob((blob) => {
-        if (!blob) {
-          console.error('Failed to create blob')
-          setDownloading(false)
-          return
-        }
-
-        // Create download link
-        const url = URL.createObjectURL(blob)
-        const link = document.createElement('a')
-        link.href = url
-        
-        // Generate filename
-        const originalName = imageName || 'image'
-        const nameWithoutExt = originalName.replace(/\.[^/.]+$/, '')
-        const extension = originalName.match(/\.[^/.]+$/) ? originalName.match(/\.[^/.]+$/)[0] : '.png'
-        link.download = `${nameWithoutExt}_no_bg${extension}`
-        
-        // Trigger download
-        document.body.appendChild(link)
-        link.click()
-        document.body.removeChild(link)
-        
-        // Clean up
-        URL.revokeObjectURL(url)
-        setDownloading(false)
-      }, 'image/png')
+      downloadBlob(blob, getExportFilename(imageName, exportSettings.format))
     } catch (error) {
       console.error('Download error:', error)
+    } finally {
       setDownloading(false)
     }
-  }, [processedImage, backgroundColor, imageName])
+  }, [processedImage, originalImage, background, shadow, outline, crop, imageName, exportSettings])
+
+  // Download the grayscale alpha matte as produced by the model, before any mask adjustments or edits
+  const handleDownloadMask = useCallback(async () => {
+    if (!rawMask) return
+
+    try {
+      downloadBlob(await encodeMask(rawMask), getExportFilename(imageName, 'png', '_mask'))
+    } catch (error) {
+      console.error('Mask download error:', error)
+    }
+  }, [rawMask, imageName])
+
+  // Download the mask the cutout was made with, the same image as the Mask view
+  const handleDownloadAdjustedMask = useCallback(async () => {
+    if (!maskImage) return
+
+    try {
+      const blob = await (await fetch(maskImage)).blob()
+      downloadBlob(blob, getExportFilename(imageName, 'png', '_mask_adjusted'))
+    } catch (error) {
+      console.error('Mask download error:', error)
+    }
+  }, [maskImage, imageName])
 
   return (
     <div className="w-full max-w-4xl mx-auto">
-      {/* Slider Container */}
-      <div
-        ref={containerRef}
-        className="relative w-full h-96 bg-gray-100 rounded-xl overflow-hidden shadow-lg border-2 border-gray-200"
-      >
-        {/* Original Image Layer */}
-        <ImageLayer
-          imageSrc={originalImage}
-          altText="Original"
-          label="Original"
-          position="left"
-          sliderPosition={sliderPosition}
-        />
+      {/* View Mode Toggle */}
+      {maskImage && (
+        <div className="flex justify-end gap-2 mb-2">
+          <Button
+            variant={viewMode !== 'mask' && !comparingMatting ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setViewMode('compare')}
+          >
+            <Columns2 className="h-4 w-4" />
+            Compare
+          </Button>
+          <Button
+            variant={viewMode === 'mask' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setViewMode('mask')}
+          >
+            <Contrast className="h-4 w-4" />
+            Mask
+          </Button>
+          {unmattedImage && (
+            <Button
+              variant={viewMode === 'matting' ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setViewMode('matting')}
+            >
+              <Feather className="h-4 w-4" />
+              Matting
+            </Button>
+          )}
+          {onEditMask && (
+            <Button variant="outline" size="sm" onClick={onEditMask}>
+              <Brush className="h-4 w-4" />
+              Refine
+            </Button>
+          )}
+          {onSelectSubject && (
+            <Button variant="outline" size="sm" onClick={onSelectSubject}>
+              <MousePointerClick className="h-4 w-4" />
+              Select
+            </Button>
+          )}
+        </div>
+      )}
 
-        {/* Processed Image Layer */}
-        <ImageLayer
-          imageSrc={processedImage}
-          altText="Background removed"
-          label="Background Removed"
-          position="right"
-          sliderPosition={sliderPosition}
-          backgroundColor={backgroundColor}
-        />
+      {viewMode === 'mask' && maskImage ? (
+        /* Mask-only View */
+        <div className="relative w-full h-96 bg-gray-100 rounded-xl overflow-hidden shadow-lg border-2 border-gray-200">
+          <img
+            src={maskImage}
+            alt="Alpha mask"
+            className="w-full h-full object-contain no-hover-effect"
+          />
+          {/* Regions changed by the cleanup, drawn over the mask */}
+          {regionPreview && (
+            <>
+              <img
+                src={regionPreview}
+                alt="Cleaned up regions"
+                className="absolute inset-0 w-full h-full object-contain no-hover-effect"
+              />
+              <div className="absolute bottom-2 left-2 px-2 py-1 rounded bg-black/60 text-xs text-white">
+                <span className="text-red-400">Red</span>: removed, <span className="text-green-400">green</span>: filled
+              </div>
+            </>
+          )}
+        </div>
+      ) : (
+        /* Slider Container */
+        <div
+          ref={containerRef}
+          className="relative w-full h-96 bg-gray-100 rounded-xl overflow-hidden shadow-lg border-2 border-gray-200"
+        >
+          {/* Original Image Layer, or the cutout before matting when comparing the matting stage */}
+          {comparingMatting ? (
+            <ImageLayer
+              imageSrc={unmattedImage}
+              originalSrc={originalImage}
+              altText="Before matting"
+              label="Before Matting"
+              position="left"
+              sliderPosition={sliderPosition}
+              background={background}
+              shadow={shadow}
+              outline={outline}
+              crop={crop}
+            />
+          ) : (
+            <ImageLayer
+              imageSrc={originalImage}
+              altText="Original"
+              label="Original"
+              position="left"
+              sliderPosition={sliderPosition}
+            />
+          )}
 
-        {/* Slider Handle */}
-        <SliderHandle
-          sliderPosition={sliderPosition}
-          onMouseDown={handleMouseDown}
-          onTouchStart={handleTouchStart}
-          sliderHandleRef={sliderHandleRef}
-          dividerLineRef={dividerLineRef}
-        />
-      </div>
+          {/* Processed Image Layer */}
+          <ImageLayer
+            imageSrc={processedImage}
+            originalSrc={originalImage}
+            altText="Background removed"
+            label="Background Removed"
+            position="right"
+            sliderPosition={sliderPosition}
+            background={background}
+            shadow={shadow}
+            outline={outline}
+            crop={crop}
+          />
+
+          {/* Slider Handle */}
+          <SliderHandle
+            sliderPosition={sliderPosition}
+            onMouseDown={handleMouseDown}
+            onTouchStart={handleTouchStart}
+            sliderHandleRef={sliderHandleRef}
+            dividerLineRef={dividerLineRef}
+          />
+        </div>
+      )}
 
-      {/* Download Button and Background Color Picker */}
+      {/* Download Button and Background Picker */}
       <div className="mt-4 space-y-4">
         {/* Download Button */}
         <Button
@@ -485,11 +1398,88 @@ export default function ImageSlider({
           )}
         </Button>
 
-        {/* Background Color Picker */}
-        {onBackgroundColorChange && (
-          <BackgroundColorPicker
-            color={backgroundColor}
-            onChange={onBackgroundColorChange}
+        {/* Mask Download Buttons */}
+        {(rawMask || maskImage) && (
+          <div className="flex gap-2">
+            {rawMask && (
+              <Button
+                onClick={handleDownloadMask}
+                variant="outline"
+                className="flex-1"
+                title="Grayscale alpha matte as produced by the model"
+              >
+                <Contrast className="mr-2 h-4 w-4" />
+                Download Mask
+              </Button>
+            )}
+            {maskImage && (
+              <Button
+                onClick={handleDownloadAdjustedMask}
+                variant="outline"
+                className="flex-1"
+                title="Grayscale mask with the mask adjustments and edits applied"
+              >
+                <Contrast className="mr-2 h-4 w-4" />
+                Adjusted Mask
+              </Button>
+            )}
+          </div>
+        )}
+
+        {/* Mask Post-processing */}
+        {onMaskSettingsChange && (
+          <MaskAdjustments
+            settings={maskSettings}
+            onChange={onMaskSettingsChange}
+            refining={refining}
+          />
+        )}
+
+        {/* Background Picker */}
+        {onBackgroundChange && (
+          <BackgroundPicker
+            background={background}
+            onChange={onBackgroundChange}
+            images={backgroundImages}
+            onImageUpload={onBackgroundImageUpload}
+          />
+        )}
+
+        {/* Sticker Outline Picker */}
+        {onOutlineChange && (
+          <OutlinePicker
+            outline={outline}
+            onChange={onOutlineChange}
+          />
+        )}
+
+        {/* Shadow Picker */}
+        {onShadowChange && (
+          <ShadowPicker
+            shadow={shadow}
+            onChange={onShadowChange}
+          />
+        )}
+
+        {/* Auto-crop Picker */}
+        {onCropChange && (
+          <CropPicker
+            crop={crop}
+            onChange={onCropChange}
+          />
+        )}
+
+        {/* Export Format Picker */}
+        {onExportSettingsChange && (
+          <ExportFormatPicker
+            settings={exportSettings}
+            onChange={onExportSettingsChange}
+            processedImage={processedImage}
+            originalImage={originalImage}
+            background={background}
+            shadow={shadow}
+            outline={outline}
+            crop={crop}
           />
         )}
       </div>
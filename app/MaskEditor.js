@@ -0,0 +1,400 @@
+'use client'
+
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { Stage, Layer, Image as KonvaImage, Circle } from 'react-konva'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Brush, Eraser, Undo2, Redo2, Check, X, Loader2 } from 'lucide-react'
+import { loadImage } from './image-export'
+
+const MAX_STAGE_WIDTH = 768
+const MAX_STAGE_HEIGHT = 480
+
+// Each history entry only stores the rectangle a stroke touched, so this stays small on large images
+const MAX_HISTORY = 50
+
+/**
+ * Stamp one brush dab into the alpha mask and return the rectangle it touched
+ */
+function stampBrush(alpha, width, height, cx, cy, { size, hardness, mode }) {
+  const radius = size / 2
+  const hardRadius = radius * hardness
+  const x0 = Math.max(0, Math.floor(cx - radius))
+  const y0 = Math.max(0, Math.floor(cy - radius))
+  const x1 = Math.min(width - 1, Math.ceil(cx + radius))
+  const y1 = Math.min(height - 1, Math.ceil(cy + radius))
+
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy)
+      if (distance > radius) continue
+
+      // Full strength inside the hard core, fading linearly to zero at the edge
+      const strength = distance <= hardRadius ? 1 : (radius - distance) / (radius - hardRadius)
+      const i = y * width + x
+      alpha[i] = mode === 'erase'
+        ? alpha[i] * (1 - strength)
+        : alpha[i] + (255 - alpha[i]) * strength
+    }
+  }
+
+  return { x0, y0, x1, y1 }
+}
+
+function unionRect(a, b) {
+  if (!a) return b
+  return {
+    x0: Math.min(a.x0, b.x0),
+    y0: Math.min(a.y0, b.y0),
+    x1: Math.max(a.x1, b.x1),
+    y1: Math.max(a.y1, b.y1)
+  }
+}
+
+function copyRegion(alpha, width, rect) {
+  const regionWidth = rect.x1 - rect.x0 + 1
+  const region = new Uint8ClampedArray(regionWidth * (rect.y1 - rect.y0 + 1))
+  for (let y = rect.y0; y <= rect.y1; y++) {
+    const start = y * width + rect.x0
+    region.set(alpha.subarray(start, start + regionWidth), (y - rect.y0) * regionWidth)
+  }
+  return region
+}
+
+function writeRegion(alpha, width, rect, region) {
+  const regionWidth = rect.x1 - rect.x0 + 1
+  for (let y = rect.y0; y <= rect.y1; y++) {
+    const offset = (y - rect.y0) * regionWidth
+    alpha.set(region.subarray(offset, offset + regionWidth), y * width + rect.x0)
+  }
+}
+
+/**
+ * Mask Editor Component
+ *
+ * Paints directly into a copy of the alpha mask with erase and restore brushes.
+ * `onSave` receives the refined mask in the same { width, height, data } shape the worker returns.
+ */
+export default function MaskEditor({ originalImage, mask, onSave, onCancel }) {
+  const [surfaces, setSurfaces] = useState(null) // { original, display } once loaded
+  const [saving, setSaving] = useState(false)
+  const [mode, setMode] = useState('erase') // 'erase' or 'restore'
+  const [brushSize, setBrushSize] = useState(40)
+  const [hardness, setHardness] = useState(0.7)
+  const [showOriginal, setShowOriginal] = useState(true)
+  const [cursor, setCursor] = useState(null)
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false })
+
+  const alphaRef = useRef(null) // Uint8ClampedArray being edited
+  const pixelsRef = useRef(null) // ImageData of the original, alpha rewritten from the mask
+  const displayCanvasRef = useRef(null) // Cutout drawn by Konva, updated in place while painting
+  const layerRef = useRef(null)
+  const strokeRef = useRef(null)
+  const undoStackRef = useRef([])
+  const redoStackRef = useRef([])
+
+  const { width, height } = mask
+  const scale = Math.min(MAX_STAGE_WIDTH / width, MAX_STAGE_HEIGHT / height, 1)
+
+  // Build the editable mask and the cutout canvas
+  useEffect(() => {
+    let cancelled = false
+
+    loadImage(originalImage)
+      .then((img) => {
+        if (cancelled) return
+
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = height
+        const ctx = canvas.getContext('2d')
+        ctx.drawImage(img, 0, 0, width, height)
+
+        const alpha = new Uint8ClampedArray(mask.data.slice(0))
+        const pixels = ctx.getImageData(0, 0, width, height)
+        for (let i = 0; i < alpha.length; ++i) {
+          pixels.data[4 * i + 3] = alpha[i]
+        }
+        ctx.putImageData(pixels, 0, 0)
+
+        alphaRef.current = alpha
+        pixelsRef.current = pixels
+        displayCanvasRef.current = canvas
+        undoStackRef.current = []
+        redoStackRef.current = []
+        setHistory({ canUndo: false, canRedo: false })
+        setSurfaces({ original: img, display: canvas })
+      })
+      .catch((error) => console.error('Mask editor load error:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [originalImage, mask, width, height])
+
+  // Copy the edited alpha values of a rectangle into the cutout canvas
+  const refreshDisplay = useCallback((rect) => {
+    const alpha = alphaRef.current
+    const pixels = pixelsRef.current
+    for (let y = rect.y0; y <= rect.y1; y++) {
+      for (let x = rect.x0; x <= rect.x1; x++) {
+        const i = y * width + x
+        pixels.data[4 * i + 3] = alpha[i]
+      }
+    }
+    displayCanvasRef.current.getContext('2d').putImageData(
+      pixels, 0, 0, rect.x0, rect.y0, rect.x1 - rect.x0 + 1, rect.y1 - rect.y0 + 1
+    )
+    layerRef.current?.batchDraw()
+  }, [width])
+
+  const getImagePoint = useCallback((stage) => {
+    const pointer = stage.getPointerPosition()
+    return pointer ? { x: pointer.x / scale, y: pointer.y / scale } : null
+  }, [scale])
+
+  const paintTo = useCallback((point) => {
+    const stroke = strokeRef.current
+    const brush = { size: brushSize, hardness, mode }
+
+    // Interpolate dabs between pointer events so fast strokes stay continuous
+    const spacing = Math.max(1, brushSize / 4)
+    const distance = Math.hypot(point.x - stroke.last.x, point.y - stroke.last.y)
+    const steps = Math.max(1, Math.ceil(distance / spacing))
+
+    let rect = null
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps
+      rect = unionRect(rect, stampBrush(
+        alphaRef.current, width, height,
+        stroke.last.x + (point.x - stroke.last.x) * t,
+        stroke.last.y + (point.y - stroke.last.y) * t,
+        brush
+      ))
+    }
+
+    stroke.last = point
+    stroke.rect = unionRect(stroke.rect, rect)
+    refreshDisplay(rect)
+  }, [brushSize, hardness, mode, width, height, refreshDisplay])
+
+  const handlePointerDown = useCallback((e) => {
+    if (!alphaRef.current) return
+    const point = getImagePoint(e.target.getStage())
+    if (!point) return
+
+    // Keep the mask as it was before the stroke so the touched area can be recorded for undo
+    strokeRef.current = { before: alphaRef.current.slice(), last: point, rect: null }
+    const rect = stampBrush(alphaRef.current, width, height, point.x, point.y, { size: brushSize, hardness, mode })
+    strokeRef.current.rect = rect
+    refreshDisplay(rect)
+  }, [getImagePoint, width, height, brushSize, hardness, mode, refreshDisplay])
+
+  const handlePointerMove = useCallback((e) => {
+    const point = getImagePoint(e.target.getStage())
+    setCursor(point)
+    if (strokeRef.current && point) {
+      paintTo(point)
+    }
+  }, [getImagePoint, paintTo])
+
+  const handlePointerUp = useCallback(() => {
+    const stroke = strokeRef.current
+    if (!stroke) return
+    strokeRef.current = null
+
+    undoStackRef.current.push({
+      rect: stroke.rect,
+      before: copyRegion(stroke.before, width, stroke.rect),
+      after: copyRegion(alphaRef.current, width, stroke.rect)
+    })
+    if (undoStackRef.current.length > MAX_HISTORY) {
+      undoStackRef.current.shift()
+    }
+    redoStackRef.current = []
+    setHistory({ canUndo: true, canRedo: false })
+  }, [width])
+
+  const handlePointerLeave = useCallback(() => {
+    setCursor(null)
+    handlePointerUp()
+  }, [handlePointerUp])
+
+  const handleUndo = useCallback(() => {
+    const entry = undoStackRef.current.pop()
+    if (!entry) return
+    writeRegion(alphaRef.current, width, entry.rect, entry.before)
+    redoStackRef.current.push(entry)
+    refreshDisplay(entry.rect)
+    setHistory({ canUndo: undoStackRef.current.length > 0, canRedo: true })
+  }, [width, refreshDisplay])
+
+  const handleRedo = useCallback(() => {
+    const entry = redoStackRef.current.pop()
+    if (!entry) return
+    writeRegion(alphaRef.current, width, entry.rect, entry.after)
+    undoStackRef.current.push(entry)
+    refreshDisplay(entry.rect)
+    setHistory({ canUndo: true, canRedo: redoStackRef.current.length > 0 })
+  }, [width, refreshDisplay])
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [handleUndo, handleRedo])
+
+  const handleSave = useCallback(async () => {
+    setSaving(true)
+    try {
+      await onSave({ width, height, data: alphaRef.current.slice().buffer })
+    } finally {
+      setSaving(false)
+    }
+  }, [onSave, width, height])
+
+  return (
+    <div className="w-full max-w-4xl mx-auto">
+      {/* Editor Canvas */}
+      <div className="relative w-full h-[30rem] bg-gray-100 rounded-xl overflow-hidden shadow-lg border-2 border-gray-200 flex items-center justify-center">
+        {surfaces ? (
+          <div
+            style={{
+              backgroundImage: 'repeating-conic-gradient(#d4d4d4 0% 25%, #ffffff 0% 50%)',
+              backgroundSize: '16px 16px',
+              cursor: 'none'
+            }}
+          >
+            <Stage
+              width={Math.round(width * scale)}
+              height={Math.round(height * scale)}
+              onMouseDown={handlePointerDown}
+              onMouseMove={handlePointerMove}
+              onMouseUp={handlePointerUp}
+              onMouseLeave={handlePointerLeave}
+              onTouchStart={handlePointerDown}
+              onTouchMove={handlePointerMove}
+              onTouchEnd={handlePointerUp}
+            >
+              <Layer ref={layerRef} scaleX={scale} scaleY={scale}>
+                {/* Faint original underneath makes restorable areas visible */}
+                {showOriginal && (
+                  <KonvaImage image={surfaces.original} width={width} height={height} opacity={0.25} listening={false} />
+                )}
+                <KonvaImage image={surfaces.display} listening={false} />
+                {cursor && (
+                  <Circle
+                    x={cursor.x}
+                    y={cursor.y}
+                    radius={brushSize / 2}
+                    stroke={mode === 'erase' ? '#ef4444' : '#22c55e'}
+                    strokeWidth={1.5 / scale}
+                    listening={false}
+                  />
+                )}
+              </Layer>
+            </Stage>
+          </div>
+        ) : (
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        )}
+      </div>
+
+      {/* Brush Controls */}
+      <Card className="mt-4">
+        <CardHeader className="pb-3">
+          <CardTitle className="text-sm flex items-center gap-2">
+            <Brush className="h-4 w-4" />
+            Refine Mask
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <Button
+              variant={mode === 'erase' ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setMode('erase')}
+            >
+              <Eraser className="h-4 w-4" />
+              Erase
+            </Button>
+            <Button
+              variant={mode === 'restore' ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setMode('restore')}
+            >
+              <Brush className="h-4 w-4" />
+              Restore
+            </Button>
+            <div className="flex-1" />
+            <Button variant="outline" size="icon-sm" onClick={handleUndo} disabled={!history.canUndo} title="Undo (Ctrl+Z)">
+              <Undo2 className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="icon-sm" onClick={handleRedo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">
+              <Redo2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <label className="text-xs text-muted-foreground w-16">Size:</label>
+            <input
+              type="range"
+              min="2"
+              max="500"
+              value={brushSize}
+              onChange={(e) => setBrushSize(parseInt(e.target.value, 10))}
+              className="flex-1 accent-primary"
+            />
+            <span className="text-xs w-12 text-right">{brushSize}px</span>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <label className="text-xs text-muted-foreground w-16">Hardness:</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={hardness}
+              onChange={(e) => setHardness(parseFloat(e.target.value))}
+              className="flex-1 accent-primary"
+            />
+            <span className="text-xs w-12 text-right">{Math.round(hardness * 100)}%</span>
+          </div>
+
+          <label className="flex items-center gap-2 text-xs text-muted-foreground">
+            <input
+              type="checkbox"
+              checked={showOriginal}
+              onChange={(e) => setShowOriginal(e.target.checked)}
+            />
+            Show original underneath
+          </label>
+
+          <div className="flex gap-2">
+            <Button variant="outline" className="flex-1" onClick={onCancel} disabled={saving}>
+              <X className="h-4 w-4" />
+              Cancel
+            </Button>
+            <Button className="flex-1" onClick={handleSave} disabled={!surfaces || saving}>
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+              Apply
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,260 @@
+'use client'
+
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { MousePointerClick, CirclePlus, CircleMinus, Undo2, Trash2, Check, X, Loader2 } from 'lucide-react'
+import { loadImage } from './image-export'
+import { COMBINE_MODES, combineMasks } from './mask-processing'
+
+const MAX_VIEW_WIDTH = 768
+const MAX_VIEW_HEIGHT = 480
+
+/**
+ * Subject Selector Component
+ *
+ * Selects a subject by clicking positive and negative points, which `onSegment(points)` turns into a
+ * mask with a point-prompted model, and merges it into the current mask. Points are { x, y, label } in
+ * image pixels. Only one prompt runs at a time; points added meanwhile are sent together once it returns.
+ * `onSave` receives the merged mask in the same { width, height, data } shape the worker returns.
+ */
+export default function SubjectSelector({ originalImage, mask, onSegment, onSave, onCancel }) {
+  const [loaded, setLoaded] = useState(false)
+  const [points, setPoints] = useState([])
+  const [label, setLabel] = useState(1) // Label of left clicks: 1 includes, 0 excludes
+  const [combineMode, setCombineMode] = useState('union')
+  const [selection, setSelection] = useState(null) // Uint8ClampedArray from the latest prompt
+  const [segmenting, setSegmenting] = useState(false)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const canvasRef = useRef(null)
+  const pixelsRef = useRef(null) // ImageData of the original, alpha rewritten from the merged mask
+  const mergedRef = useRef(null)
+  const requestRef = useRef({ running: false, next: null })
+  const versionRef = useRef(0) // Bumped on every change of the points, so stale results are dropped
+
+  const { width, height } = mask
+  const scale = Math.min(MAX_VIEW_WIDTH / width, MAX_VIEW_HEIGHT / height, 1)
+
+  useEffect(() => {
+    let cancelled = false
+
+    loadImage(originalImage)
+      .then((img) => {
+        if (cancelled) return
+
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = height
+        const ctx = canvas.getContext('2d')
+        ctx.drawImage(img, 0, 0, width, height)
+        pixelsRef.current = ctx.getImageData(0, 0, width, height)
+        setLoaded(true)
+      })
+      .catch((error) => console.error('Subject selector load error:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [originalImage, width, height])
+
+  // Preview the cutout with the selection merged in
+  useEffect(() => {
+    const pixels = pixelsRef.current
+    const canvas = canvasRef.current
+    if (!loaded || !pixels || !canvas) return
+
+    const base = new Uint8ClampedArray(mask.data)
+    const merged = selection ? combineMasks(base, selection, combineMode) : base
+    for (let i = 0; i < merged.length; ++i) {
+      pixels.data[4 * i + 3] = merged[i]
+    }
+    canvas.getContext('2d').putImageData(pixels, 0, 0)
+    mergedRef.current = merged
+  }, [loaded, mask, selection, combineMode])
+
+  // Run the queued prompt, then whichever came in while it was running
+  const drainRequests = useCallback(async () => {
+    const request = requestRef.current
+    request.running = true
+    setSegmenting(true)
+    try {
+      while (request.next) {
+        const { points: prompt, version } = request.next
+        request.next = null
+        const result = await onSegment(prompt)
+        if (version === versionRef.current) {
+          setSelection(new Uint8ClampedArray(result.mask.data))
+        }
+      }
+      setError(null)
+    } catch (error) {
+      console.error('Subject selection error:', error)
+      setError(error.message)
+    } finally {
+      request.running = false
+      setSegmenting(false)
+    }
+  }, [onSegment])
+
+  const updatePoints = useCallback((nextPoints) => {
+    setPoints(nextPoints)
+    const version = ++versionRef.current
+    if (nextPoints.length === 0) {
+      requestRef.current.next = null
+      setSelection(null)
+      return
+    }
+
+    requestRef.current.next = { points: nextPoints, version }
+    if (!requestRef.current.running) {
+      drainRequests()
+    }
+  }, [drainRequests])
+
+  // Left click adds a point with the current label, right click one with the opposite label
+  const addPoint = useCallback((e, pointLabel) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = Math.round((e.clientX - rect.left) / scale)
+    const y = Math.round((e.clientY - rect.top) / scale)
+    if (x < 0 || y < 0 || x >= width || y >= height) return
+    updatePoints([...points, { x, y, label: pointLabel }])
+  }, [points, scale, width, height, updatePoints])
+
+  const handleSave = useCallback(async () => {
+    setSaving(true)
+    try {
+      await onSave({ width, height, data: mergedRef.current.slice().buffer })
+    } finally {
+      setSaving(false)
+    }
+  }, [onSave, width, height])
+
+  return (
+    <div className="w-full max-w-4xl mx-auto">
+      {/* Selection Canvas */}
+      <div className="relative w-full h-[30rem] bg-gray-100 rounded-xl overflow-hidden shadow-lg border-2 border-gray-200 flex items-center justify-center">
+        {!loaded && <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />}
+        <div
+          className={loaded ? 'relative' : 'hidden'}
+          style={{
+            width: Math.round(width * scale),
+            height: Math.round(height * scale),
+            backgroundImage: 'repeating-conic-gradient(#d4d4d4 0% 25%, #ffffff 0% 50%)',
+            backgroundSize: '16px 16px',
+            cursor: 'crosshair'
+          }}
+          onClick={(e) => addPoint(e, label)}
+          onContextMenu={(e) => {
+            e.preventDefault()
+            addPoint(e, 1 - label)
+          }}
+        >
+          {/* Faint original underneath shows what can still be selected */}
+          <img
+            src={originalImage}
+            alt="Original"
+            className="absolute inset-0 w-full h-full opacity-25 pointer-events-none no-hover-effect"
+          />
+          <canvas
+            ref={canvasRef}
+            width={width}
+            height={height}
+            className="absolute inset-0 w-full h-full pointer-events-none"
+          />
+          {points.map((point, index) => (
+            <div
+              key={index}
+              className={`absolute h-3 w-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-white shadow pointer-events-none ${point.label === 1 ? 'bg-green-500' : 'bg-red-500'}`}
+              style={{ left: point.x * scale, top: point.y * scale }}
+            />
+          ))}
+          {segmenting && (
+            <Loader2 className="absolute top-2 right-2 h-4 w-4 animate-spin text-muted-foreground" />
+          )}
+        </div>
+      </div>
+
+      {/* Selection Controls */}
+      <Card className="mt-4">
+        <CardHeader className="pb-3">
+          <CardTitle className="text-sm flex items-center gap-2">
+            <MousePointerClick className="h-4 w-4" />
+            Select Subject
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <Button
+              variant={label === 1 ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setLabel(1)}
+            >
+              <CirclePlus className="h-4 w-4" />
+              Include
+            </Button>
+            <Button
+              variant={label === 0 ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setLabel(0)}
+            >
+              <CircleMinus className="h-4 w-4" />
+              Exclude
+            </Button>
+            <div className="flex-1" />
+            <Button
+              variant="outline"
+              size="icon-sm"
+              onClick={() => updatePoints(points.slice(0, -1))}
+              disabled={points.length === 0}
+              title="Remove last point"
+            >
+              <Undo2 className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="icon-sm"
+              onClick={() => updatePoints([])}
+              disabled={points.length === 0}
+              title="Clear points"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <label htmlFor="combine-select" className="text-xs text-muted-foreground w-16">Result:</label>
+            <select
+              id="combine-select"
+              value={combineMode}
+              onChange={(e) => setCombineMode(e.target.value)}
+              className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+            >
+              {Object.entries(COMBINE_MODES).map(([id, modeLabel]) => (
+                <option key={id} value={id}>{modeLabel}</option>
+              ))}
+            </select>
+          </div>
+
+          <p className="text-xs text-muted-foreground">
+            Click the subject to select it; right-click adds a point of the other kind. The first click
+            downloads the selection model and analyzes the image, later clicks update within moments.
+          </p>
+          {error && <p className="text-xs text-destructive">Selection failed: {error}</p>}
+
+          <div className="flex gap-2">
+            <Button variant="outline" className="flex-1" onClick={onCancel} disabled={saving}>
+              <X className="h-4 w-4" />
+              Cancel
+            </Button>
+            <Button className="flex-1" onClick={handleSave} disabled={!loaded || saving}>
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+              Apply
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,181 @@
+// Marketplace image rules checked against the exported composition of each processed image.
+//
+// A rule set declares:
+//   whiteBackground Whether the background must be pure white
+//   targetFill      Share of the frame the subject should fill along its tighter axis (null skips the check)
+//   minWidth        Minimum output width in pixels
+//   minHeight       Minimum output height in pixels
+//   square          'required' fails and 'recommended' warns for non-square output; null skips the check
+
+import { EXPORT_FORMATS, TRANSPARENT_BACKGROUND, isTransparentBackground } from './image-export';
+
+export const RULE_SETS = {
+  amazon: {
+    label: 'Amazon',
+    whiteBackground: true,
+    targetFill: 0.85,
+    minWidth: 1000,
+    minHeight: 1000,
+    square: 'recommended'
+  },
+  ebay: {
+    label: 'eBay',
+    whiteBackground: false,
+    targetFill: 0.8,
+    minWidth: 500,
+    minHeight: 500,
+    square: 'recommended'
+  },
+  shopify: {
+    label: 'Shopify',
+    whiteBackground: false,
+    targetFill: null,
+    minWidth: 2048,
+    minHeight: 2048,
+    square: 'required'
+  },
+  custom: {
+    label: 'Custom',
+    whiteBackground: true,
+    targetFill: 0.85,
+    minWidth: 1000,
+    minHeight: 1000,
+    square: 'required'
+  }
+};
+
+// How far below the target fill still counts as a warning rather than a failure
+const FILL_WARNING_MARGIN = 0.1;
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (
+    STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst
+  ), 'pass');
+}
+
+function isWhite(color) {
+  return /^#(fff|ffffff)$/i.test(color);
+}
+
+/**
+ * Whether the exported pixels around the subject are pure white
+ */
+function hasWhiteBackground(background, formatId) {
+  if (isTransparentBackground(background)) {
+    // Formats without alpha are flattened onto white
+    return !EXPORT_FORMATS[formatId].alpha;
+  }
+  return background.type === 'color' && background.color !== TRANSPARENT_BACKGROUND && isWhite(background.color);
+}
+
+/**
+ * Check an export layout (see getExportLayout) against a rule set.
+ * Returns the overall status and one entry per rule with a short label for badges.
+ */
+export function checkCompliance(layout, { background, format }, rules) {
+  const { width, height, subjectBounds } = layout;
+  const checks = [];
+
+  if (rules.whiteBackground) {
+    const white = hasWhiteBackground(background, format);
+    checks.push({
+      id: 'background',
+      label: 'White BG',
+      status: white ? 'pass' : 'fail',
+      detail: white ? 'Background is pure white' : 'Background must be pure white (#ffffff)'
+    });
+  }
+
+  if (rules.targetFill) {
+    const fill = subjectBounds
+      ? Math.max((subjectBounds.right - subjectBounds.left) / width, (subjectBounds.bottom - subjectBounds.top) / height)
+      : 0;
+    let status = 'fail';
+    if (fill >= rules.targetFill) {
+      status = 'pass';
+    } else if (fill >= rules.targetFill - FILL_WARNING_MARGIN) {
+      status = 'warn';
+    }
+    checks.push({
+      id: 'fill',
+      label: `Fill ${Math.round(fill * 100)}%`,
+      status,
+      detail: `Subject fills ${Math.round(fill * 100)}% of the frame; ${Math.round(rules.targetFill * 100)}% expected`
+    });
+  }
+
+  const largeEnough = width >= rules.minWidth && height >= rules.minHeight;
+  checks.push({
+    id: 'size',
+    label: `${width}×${height}`,
+    status: largeEnough ? 'pass' : 'fail',
+    detail: largeEnough
+      ? `Output is ${width}×${height} px`
+      : `Output is ${width}×${height} px; at least ${rules.minWidth}×${rules.minHeight} px required`
+  });
+
+  if (rules.square) {
+    const square = width === height;
+    checks.push({
+      id: 'square',
+      label: 'Square',
+      status: square ? 'pass' : rules.square === 'required' ? 'fail' : 'warn',
+      detail: square ? 'Canvas is square' : `Canvas should be square (${rules.square})`
+    });
+  }
+
+  return {
+    status: worstStatus(checks.map(check => check.status)),
+    checks
+  };
+}
+
+/**
+ * Crop and background settings expected to satisfy a rule set, keeping the source resolution.
+ * `measure` returns the export layout for a crop. A crop below the minimum size gets a wider margin
+ * rather than being upscaled, which can leave the subject short of the target fill; `report` checks
+ * the fixed settings and does not pass when only a larger source would comply.
+ */
+export async function getComplianceFix(rules, { background, crop, format }, measure) {
+  const fixedCrop = {
+    ...crop,
+    enabled: true,
+    aspect: rules.square ? '1:1' : crop.aspect,
+    outputSize: 0
+  };
+
+  if (rules.targetFill) {
+    // Padding on each side of the subject's longer side; aim a little above the target so rounding cannot fail it
+    fixedCrop.paddingUnit = 'percent';
+    fixedCrop.padding = Math.floor(((1 / (rules.targetFill + 0.01) - 1) / 2) * 1000) / 10;
+  }
+
+  // Widen the margin until the frame reaches the minimum size; aspect ratios can need a second pass
+  let layout = await measure(fixedCrop);
+  for (let pass = 0; pass < 3 && layout.subjectBounds; pass++) {
+    const shortfall = Math.max(rules.minWidth - layout.width, rules.minHeight - layout.height);
+    if (shortfall <= 0) {
+      break;
+    }
+
+    const { left, top, right, bottom } = layout.subjectBounds;
+    const padding = fixedCrop.paddingUnit === 'percent'
+      ? (Math.max(right - left, bottom - top) * fixedCrop.padding) / 100
+      : fixedCrop.padding;
+    fixedCrop.paddingUnit = 'px';
+    fixedCrop.padding = Math.ceil(padding + shortfall / 2);
+    layout = await measure(fixedCrop);
+  }
+
+  const fixedBackground = rules.whiteBackground && !hasWhiteBackground(background, 'png')
+    ? { ...background, type: 'color', color: '#ffffff' }
+    : background;
+
+  return {
+    crop: fixedCrop,
+    background: fixedBackground,
+    report: checkCompliance(layout, { background: fixedBackground, format }, rules)
+  };
+}
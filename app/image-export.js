@@ -0,0 +1,753 @@
+// Compositing and encoding helpers shared by the preview, single downloads and list exports
+
+import { dilateRound } from './mask-processing';
+
+// Background value that keeps the alpha channel written by the worker
+export const TRANSPARENT_BACKGROUND = 'transparent';
+
+// Fallback fill for formats without an alpha channel when the background is transparent
+const FLATTEN_FALLBACK_COLOR = '#ffffff';
+
+export const BACKGROUND_TYPES = {
+  color: 'Solid Color',
+  image: 'Image',
+  gradient: 'Gradient',
+  portrait: 'Portrait'
+};
+
+export const BACKGROUND_FITS = {
+  cover: 'Cover',
+  contain: 'Contain',
+  tile: 'Tile',
+  stretch: 'Stretch'
+};
+
+export const DEFAULT_BACKGROUND = {
+  type: 'color', // One of BACKGROUND_TYPES
+  color: '#ffffff', // Fill color, also used where an image does not cover the canvas
+  imageUrl: null,
+  fit: 'cover',
+  // Anchor of the image in percent, like CSS background-position (50 centers it)
+  positionX: 50,
+  positionY: 50,
+  gradientType: 'linear', // 'linear' or 'radial'
+  gradientAngle: 180, // Degrees, like CSS linear-gradient (180 runs top to bottom)
+  gradientStops: [
+    { offset: 0, color: '#ffffff' },
+    { offset: 1, color: '#c7d2fe' }
+  ],
+  portraitBlur: 2, // Blur radius in percent of the longer image side
+  portraitDesaturate: 0 // 0 keeps the original colors, 1 is fully grayscale
+};
+
+// Offsets and blur are in percent of the longer image side so a batch looks consistent
+export const DEFAULT_SHADOW = {
+  drop: false, // Offset shadow cast by the whole subject
+  contact: false, // Flattened shadow under the subject's bottom edge
+  color: '#000000',
+  opacity: 0.35,
+  offsetX: 1,
+  offsetY: 2,
+  blur: 2,
+  contactOpacity: 0.6
+};
+
+// Alpha above which a pixel counts as part of the subject, ignoring faint matte noise
+const SUBJECT_ALPHA_THRESHOLD = 16;
+
+// Fraction of the subject's height at its base that casts the contact shadow
+const CONTACT_SHADOW_SOURCE = 0.15;
+// Height of the flattened contact shadow relative to the subject's height
+const CONTACT_SHADOW_HEIGHT = 0.04;
+
+export const DEFAULT_OUTLINE = {
+  enabled: false,
+  width: 2, // Stroke width in percent of the longer image side
+  color: '#ffffff',
+  shadow: false // Soft shadow under the whole sticker
+};
+
+const STICKER_SHADOW = {
+  ...DEFAULT_SHADOW,
+  drop: true,
+  opacity: 0.3,
+  offsetX: 0,
+  offsetY: 0.8,
+  blur: 1.2
+};
+
+export const ASPECT_PRESETS = {
+  free: { label: 'Free', ratio: null },
+  '1:1': { label: '1:1', ratio: 1 },
+  '4:5': { label: '4:5', ratio: 4 / 5 },
+  '16:9': { label: '16:9', ratio: 16 / 9 },
+  custom: { label: 'Custom', ratio: null }
+};
+
+export const DEFAULT_CROP = {
+  enabled: false,
+  padding: 5,
+  paddingUnit: 'percent', // 'percent' of the subject's longer side, or 'px'
+  aspect: 'free', // One of ASPECT_PRESETS
+  customAspectWidth: 3,
+  customAspectHeight: 2,
+  outputSize: 0 // Longer side of the exported image in pixels; 0 keeps the cropped size
+};
+
+// Longer side of the image list thumbnails, in pixels
+const THUMBNAIL_SIZE = 256;
+
+/**
+ * Whether the composite keeps transparent pixels (contained images leave the fill color visible)
+ */
+export function isTransparentBackground({ type, color, imageUrl, fit }) {
+  if (type === 'gradient' || type === 'portrait') {
+    return false;
+  }
+  const coveredByImage = type === 'image' && imageUrl && fit !== 'contain';
+  return color === TRANSPARENT_BACKGROUND && !coveredByImage;
+}
+
+export const EXPORT_FORMATS = {
+  png: {
+    label: 'PNG',
+    mimeType: 'image/png',
+    extension: 'png',
+    alpha: true,
+    lossy: false
+  },
+  'webp-lossless': {
+    label: 'WebP (lossless)',
+    mimeType: 'image/webp',
+    extension: 'webp',
+    alpha: true,
+    lossy: false,
+    // Chromium's WebP encoder switches to lossless mode at quality 1, others stay lossy;
+    // isFormatSupported looks for the lossless bitstream before offering the format
+    fixedQuality: 1,
+    bitstream: 'VP8L'
+  },
+  webp: {
+    label: 'WebP',
+    mimeType: 'image/webp',
+    extension: 'webp',
+    alpha: true,
+    lossy: true
+  },
+  jpeg: {
+    label: 'JPEG',
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    alpha: false,
+    lossy: true
+  },
+  avif: {
+    label: 'AVIF',
+    mimeType: 'image/avif',
+    extension: 'avif',
+    alpha: true,
+    lossy: true
+  }
+};
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  format: 'png',
+  quality: 0.9
+};
+
+const supportCache = new Map();
+
+/**
+ * Check whether the browser can encode a format; unsupported types silently fall back to PNG.
+ * Formats that name a `bitstream` must also produce it, e.g. lossless rather than lossy WebP.
+ */
+export function isFormatSupported(formatId) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format || typeof document === 'undefined') {
+    return false;
+  }
+
+  if (!supportCache.has(formatId)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const dataUrl = canvas.toDataURL(format.mimeType, format.fixedQuality);
+    const encoded = dataUrl.startsWith(`data:${format.mimeType}`);
+    supportCache.set(formatId, encoded && (!format.bitstream || atob(dataUrl.split(',')[1]).includes(format.bitstream)));
+  }
+  return supportCache.get(formatId);
+}
+
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+    img.src = src;
+  });
+}
+
+/**
+ * Paint a checkerboard so transparent areas are visible in the preview
+ */
+export function drawCheckerboard(ctx, width, height) {
+  // Scale the cells with the image so they stay visible once the preview is downscaled
+  const cellSize = Math.max(8, Math.round(Math.max(width, height) / 48));
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#d4d4d4';
+  for (let y = 0; y < height; y += cellSize) {
+    for (let x = (y / cellSize) % 2 === 0 ? 0 : cellSize; x < width; x += cellSize * 2) {
+      ctx.fillRect(x, y, cellSize, cellSize);
+    }
+  }
+}
+
+// Background images are reused across previews and exports, so keep them decoded
+const backgroundImageCache = new Map();
+
+function loadBackgroundImage(url) {
+  if (!backgroundImageCache.has(url)) {
+    const image = loadImage(url);
+    image.catch(() => backgroundImageCache.delete(url));
+    backgroundImageCache.set(url, image);
+  }
+  return backgroundImageCache.get(url);
+}
+
+function fillBackground(ctx, width, height, color, { preview, flatten }) {
+  if (color === TRANSPARENT_BACKGROUND) {
+    if (preview) {
+      drawCheckerboard(ctx, width, height);
+    } else if (flatten) {
+      ctx.fillStyle = FLATTEN_FALLBACK_COLOR;
+      ctx.fillRect(0, 0, width, height);
+    }
+  } else {
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, width, height);
+  }
+}
+
+/**
+ * Draw a background image using one of the BACKGROUND_FITS modes
+ */
+function drawBackgroundImage(ctx, image, width, height, { fit, positionX, positionY }) {
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+
+  if (fit === 'stretch') {
+    ctx.drawImage(image, 0, 0, width, height);
+    return;
+  }
+
+  if (fit === 'tile') {
+    // Shift the tile grid so the anchor tile sits where a single image would
+    const offsetX = ((width - imageWidth) * positionX) / 100;
+    const offsetY = ((height - imageHeight) * positionY) / 100;
+    const startX = offsetX - Math.ceil(offsetX / imageWidth) * imageWidth;
+    const startY = offsetY - Math.ceil(offsetY / imageHeight) * imageHeight;
+    for (let y = startY; y < height; y += imageHeight) {
+      for (let x = startX; x < width; x += imageWidth) {
+        ctx.drawImage(image, x, y);
+      }
+    }
+    return;
+  }
+
+  const scale = fit === 'contain'
+    ? Math.min(width / imageWidth, height / imageHeight)
+    : Math.max(width / imageWidth, height / imageHeight);
+  const drawWidth = imageWidth * scale;
+  const drawHeight = imageHeight * scale;
+  ctx.drawImage(
+    image,
+    ((width - drawWidth) * positionX) / 100,
+    ((height - drawHeight) * positionY) / 100,
+    drawWidth,
+    drawHeight
+  );
+}
+
+function createBackgroundGradient(ctx, width, height, { gradientType, gradientAngle, gradientStops }) {
+  let gradient;
+  if (gradientType === 'radial') {
+    gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+  } else {
+    // Same geometry as CSS: the gradient line passes through the center and reaches the corners
+    const angle = (gradientAngle * Math.PI) / 180;
+    const dx = Math.sin(angle);
+    const dy = -Math.cos(angle);
+    const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    gradient = ctx.createLinearGradient(
+      width / 2 - dx * halfLength,
+      height / 2 - dy * halfLength,
+      width / 2 + dx * halfLength,
+      height / 2 + dy * halfLength
+    );
+  }
+  gradientStops.forEach(({ offset, color }) => gradient.addColorStop(offset, color));
+  return gradient;
+}
+
+function createLayer(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Paint a blurred copy of the original photo behind the subject.
+ * The subject is cut out of the photo before blurring so it does not bleed into the background.
+ * `width` and `height` are the cutout's image size; `offset` is the margin the outline adds around it,
+ * so the photo lines up with the subject and leaves that margin to the background color.
+ */
+function drawPortraitBackground(ctx, original, cutout, width, height, offset, { portraitBlur, portraitDesaturate }) {
+  const filter = `blur(${(Math.max(width, height) * portraitBlur) / 100}px) grayscale(${portraitDesaturate})`;
+
+  const blurredPhoto = createLayer(width, height).getContext('2d');
+  blurredPhoto.filter = filter;
+  blurredPhoto.drawImage(original, 0, 0, width, height);
+
+  const backgroundOnly = createLayer(width, height);
+  const backgroundCtx = backgroundOnly.getContext('2d');
+  backgroundCtx.drawImage(original, 0, 0, width, height);
+  backgroundCtx.globalCompositeOperation = 'destination-out';
+  backgroundCtx.drawImage(cutout, -offset, -offset);
+
+  const blurredBackground = createLayer(width, height).getContext('2d');
+  blurredBackground.filter = filter;
+  blurredBackground.drawImage(backgroundOnly, 0, 0);
+
+  // Reading pixels un-premultiplies them, which turns the blurred background into a
+  // weighted average of background colors only. Where the subject hid almost all of the
+  // background, fall back to the blur of the whole photo.
+  const photo = blurredPhoto.getImageData(0, 0, width, height);
+  const backgroundPixels = blurredBackground.getImageData(0, 0, width, height).data;
+  const pixels = photo.data;
+  for (let i = 0; i < pixels.length; i += 4) {
+    const t = Math.min(1, backgroundPixels[i + 3] / 64);
+    pixels[i] += (backgroundPixels[i] - pixels[i]) * t;
+    pixels[i + 1] += (backgroundPixels[i + 1] - pixels[i + 1]) * t;
+    pixels[i + 2] += (backgroundPixels[i + 2] - pixels[i + 2]) * t;
+    // The blur fades the canvas borders; the background must stay opaque
+    pixels[i + 3] = 255;
+  }
+  blurredPhoto.putImageData(photo, 0, 0);
+  ctx.drawImage(blurredPhoto.canvas, offset, offset);
+}
+
+/**
+ * Bounding box of the pixels whose alpha exceeds `threshold`; right and bottom are exclusive.
+ * Returns null for an empty mask.
+ */
+export function getAlphaBounds({ data, width, height }, threshold = 0) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[4 * (y * width + x) + 3] > threshold) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (top === height) top = y;
+        bottom = y;
+      }
+    }
+  }
+  return right < 0 ? null : { left, top, right: right + 1, bottom: bottom + 1 };
+}
+
+/**
+ * Paint the drop and contact shadows cast by the cutout's alpha channel
+ */
+function drawShadows(ctx, cutout, width, height, shadow) {
+  const unit = Math.max(width, height) / 100;
+
+  // Silhouette of the subject in the shadow color
+  const silhouette = createLayer(width, height);
+  const silhouetteCtx = silhouette.getContext('2d');
+  silhouetteCtx.drawImage(cutout, 0, 0);
+  silhouetteCtx.globalCompositeOperation = 'source-in';
+  silhouetteCtx.fillStyle = shadow.color;
+  silhouetteCtx.fillRect(0, 0, width, height);
+
+  ctx.save();
+  if (shadow.contact) {
+    const bounds = getAlphaBounds(silhouetteCtx.getImageData(0, 0, width, height), SUBJECT_ALPHA_THRESHOLD);
+    if (bounds) {
+      const subjectHeight = bounds.bottom - bounds.top;
+      const sourceHeight = Math.max(1, subjectHeight * CONTACT_SHADOW_SOURCE);
+      const flattenedHeight = Math.max(1, subjectHeight * CONTACT_SHADOW_HEIGHT);
+
+      // Squash the base of the silhouette into a thin band centered on the bottom edge
+      ctx.filter = `blur(${flattenedHeight / 2}px)`;
+      ctx.globalAlpha = shadow.contactOpacity;
+      ctx.drawImage(
+        silhouette,
+        0, bounds.bottom - sourceHeight, width, sourceHeight,
+        0, bounds.bottom - flattenedHeight / 2, width, flattenedHeight
+      );
+    }
+  }
+  if (shadow.drop) {
+    ctx.filter = `blur(${shadow.blur * unit}px)`;
+    ctx.globalAlpha = shadow.opacity;
+    ctx.drawImage(silhouette, shadow.offsetX * unit, shadow.offsetY * unit);
+  }
+  ctx.restore();
+}
+
+/**
+ * Stroke radius of the outline and the margin the canvas grows by on every side
+ */
+function getStickerGeometry(imageWidth, imageHeight, { width: strokeWidth, shadow }) {
+  const unit = Math.max(imageWidth, imageHeight) / 100;
+  const radius = strokeWidth * unit;
+
+  // Leave room for the stroke and the sticker shadow so neither is clipped
+  const shadowExtent = shadow ? (STICKER_SHADOW.blur * 3 + STICKER_SHADOW.offsetY) * unit : 0;
+  return { radius, padding: Math.ceil(radius + shadowExtent) + 1 };
+}
+
+/**
+ * Surround the cutout with a solid outline ("sticker" look) on a canvas grown to fit it
+ */
+function createSticker(img, outline) {
+  const imageWidth = img.naturalWidth || img.width;
+  const imageHeight = img.naturalHeight || img.height;
+  const { radius, padding } = getStickerGeometry(imageWidth, imageHeight, outline);
+
+  const sticker = createLayer(imageWidth + 2 * padding, imageHeight + 2 * padding);
+  const stickerCtx = sticker.getContext('2d');
+  stickerCtx.drawImage(img, padding, padding);
+
+  const { width, height } = sticker;
+  const pixels = stickerCtx.getImageData(0, 0, width, height).data;
+  const alpha = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < alpha.length; i++) {
+    alpha[i] = pixels[4 * i + 3];
+  }
+  const outlineAlpha = dilateRound(alpha, width, height, radius);
+
+  // Fill the dilated shape with the outline color and put it behind the subject
+  const stroke = createLayer(width, height);
+  const strokeCtx = stroke.getContext('2d');
+  const strokeData = strokeCtx.createImageData(width, height);
+  for (let i = 0; i < outlineAlpha.length; i++) {
+    strokeData.data[4 * i + 3] = outlineAlpha[i];
+  }
+  strokeCtx.putImageData(strokeData, 0, 0);
+  strokeCtx.globalCompositeOperation = 'source-in';
+  strokeCtx.fillStyle = outline.color;
+  strokeCtx.fillRect(0, 0, width, height);
+
+  stickerCtx.globalCompositeOperation = 'destination-over';
+  stickerCtx.drawImage(stroke, 0, 0);
+  return sticker;
+}
+
+/**
+ * Crop rectangle around the subject's bounding box with padding, widened or heightened
+ * to the requested aspect ratio with the subject centered. It may extend past the image.
+ */
+export function getCropRect(bounds, { padding, paddingUnit, aspect, customAspectWidth, customAspectHeight }) {
+  const subjectWidth = bounds.right - bounds.left;
+  const subjectHeight = bounds.bottom - bounds.top;
+  const pad = paddingUnit === 'percent' ? (Math.max(subjectWidth, subjectHeight) * padding) / 100 : padding;
+
+  let width = subjectWidth + 2 * pad;
+  let height = subjectHeight + 2 * pad;
+  const ratio = aspect === 'custom' ? customAspectWidth / customAspectHeight : ASPECT_PRESETS[aspect]?.ratio;
+  if (ratio > 0 && Number.isFinite(ratio)) {
+    if (width / height < ratio) {
+      width = height * ratio;
+    } else {
+      height = width / ratio;
+    }
+  }
+
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  return {
+    x: Math.round((bounds.left + bounds.right - width) / 2),
+    y: Math.round((bounds.top + bounds.bottom - height) / 2),
+    width,
+    height
+  };
+}
+
+function getSubjectBounds(subject, width, height) {
+  const layer = createLayer(width, height).getContext('2d');
+  layer.drawImage(subject, 0, 0);
+  return getAlphaBounds(layer.getImageData(0, 0, width, height), SUBJECT_ALPHA_THRESHOLD);
+}
+
+/**
+ * Dim everything outside the crop frame and outline it
+ */
+function drawCropFrame(ctx, rect, width, height) {
+  const lineWidth = Math.max(2, Math.round(Math.max(width, height) / 300));
+
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  ctx.beginPath();
+  ctx.rect(0, 0, width, height);
+  ctx.rect(rect.x, rect.y, rect.width, rect.height);
+  ctx.fill('evenodd');
+
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = lineWidth;
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.restore();
+}
+
+/**
+ * Where the subject and the crop frame sit for a cutout with the given subject bounds.
+ * Coordinates are relative to the subject, which the outline grows by `padding` on each side;
+ * `scale` resizes the frame to the requested output size.
+ */
+function getCompositionLayout(bounds, imageWidth, imageHeight, { outline, crop }) {
+  const { radius, padding } = outline.enabled
+    ? getStickerGeometry(imageWidth, imageHeight, outline)
+    : { radius: 0, padding: 0 };
+  const subjectWidth = imageWidth + 2 * padding;
+  const subjectHeight = imageHeight + 2 * padding;
+
+  // The outline widens the subject by its stroke on every side
+  const subjectBounds = bounds && {
+    left: Math.floor(bounds.left + padding - radius),
+    top: Math.floor(bounds.top + padding - radius),
+    right: Math.ceil(bounds.right + padding + radius),
+    bottom: Math.ceil(bounds.bottom + padding + radius)
+  };
+
+  const cropped = crop.enabled && subjectBounds;
+  const frame = cropped ? getCropRect(subjectBounds, crop) : { x: 0, y: 0, width: subjectWidth, height: subjectHeight };
+  const scale = cropped && crop.outputSize > 0 ? crop.outputSize / Math.max(frame.width, frame.height) : 1;
+  return { padding, subjectWidth, subjectHeight, subjectBounds, frame, cropped, scale };
+}
+
+function getScaledSize(width, height, scale) {
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+function resizeCanvas(canvas, scale) {
+  const { width, height } = getScaledSize(canvas.width, canvas.height, scale);
+  const resized = createLayer(width, height);
+  const ctx = resized.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(canvas, 0, 0, resized.width, resized.height);
+  return resized;
+}
+
+/**
+ * Draw the cutout over its background on a new canvas.
+ * `preview` shows a checkerboard for transparent backgrounds and the crop frame instead of
+ * cropping; `flatten` forces an opaque result. Portrait backgrounds need the loaded `originalImage`.
+ */
+export async function composeImage(img, {
+  background = DEFAULT_BACKGROUND,
+  shadow = DEFAULT_SHADOW,
+  outline = DEFAULT_OUTLINE,
+  crop = DEFAULT_CROP,
+  preview = false,
+  flatten = false,
+  originalImage = null
+} = {}) {
+  const imageWidth = img.naturalWidth || img.width;
+  const imageHeight = img.naturalHeight || img.height;
+  const bounds = crop.enabled ? getSubjectBounds(img, imageWidth, imageHeight) : null;
+  const layout = getCompositionLayout(bounds, imageWidth, imageHeight, { outline, crop });
+  const { subjectWidth, subjectHeight } = layout;
+
+  // An outlined subject is larger than the cutout, and the canvas grows with it
+  const subject = outline.enabled ? createSticker(img, outline) : img;
+
+  // The canvas covers the crop frame; backgrounds fill the canvas, everything else
+  // is drawn in subject coordinates
+  const frame = layout.cropped && !preview ? layout.frame : { x: 0, y: 0, width: subjectWidth, height: subjectHeight };
+
+  const canvas = createLayer(frame.width, frame.height);
+  const ctx = canvas.getContext('2d');
+
+  fillBackground(ctx, canvas.width, canvas.height, background.color, { preview, flatten });
+
+  if (background.type === 'image' && background.imageUrl) {
+    const backgroundImage = await loadBackgroundImage(background.imageUrl);
+    drawBackgroundImage(ctx, backgroundImage, canvas.width, canvas.height, background);
+  } else if (background.type === 'gradient') {
+    ctx.fillStyle = createBackgroundGradient(ctx, canvas.width, canvas.height, background);
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  ctx.save();
+  ctx.translate(-frame.x, -frame.y);
+
+  // The portrait background is the photo itself, so it stays aligned with the subject
+  if (background.type === 'portrait' && originalImage) {
+    drawPortraitBackground(ctx, originalImage, subject, imageWidth, imageHeight, layout.padding, background);
+  }
+
+  // Shadows sit between the background and the subject
+  if (outline.enabled && outline.shadow) {
+    drawShadows(ctx, subject, subjectWidth, subjectHeight, STICKER_SHADOW);
+  }
+  if (shadow.drop || shadow.contact) {
+    drawShadows(ctx, subject, subjectWidth, subjectHeight, shadow);
+  }
+
+  // Draw the cutout on top (with transparency)
+  ctx.drawImage(subject, 0, 0);
+  ctx.restore();
+
+  if (layout.cropped && preview) {
+    drawCropFrame(ctx, layout.frame, canvas.width, canvas.height);
+  } else if (layout.scale !== 1) {
+    return resizeCanvas(canvas, layout.scale);
+  }
+  return canvas;
+}
+
+/**
+ * Size of the exported image and the subject's bounding box within it, without composing it
+ */
+export async function getExportLayout(processedUrl, { outline = DEFAULT_OUTLINE, crop = DEFAULT_CROP } = {}) {
+  const img = await loadImage(processedUrl);
+  const imageWidth = img.naturalWidth || img.width;
+  const imageHeight = img.naturalHeight || img.height;
+  const bounds = getSubjectBounds(img, imageWidth, imageHeight);
+  const { subjectBounds, frame, scale } = getCompositionLayout(bounds, imageWidth, imageHeight, { outline, crop });
+  const { width, height } = getScaledSize(frame.width, frame.height, scale);
+
+  // Clip to the frame to absorb rounding of the outline and crop
+  const clip = (value, size) => Math.min(size, Math.max(0, value * scale));
+  return {
+    width,
+    height,
+    subjectBounds: subjectBounds && {
+      left: clip(subjectBounds.left - frame.x, width),
+      top: clip(subjectBounds.top - frame.y, height),
+      right: clip(subjectBounds.right - frame.x, width),
+      bottom: clip(subjectBounds.bottom - frame.y, height)
+    }
+  };
+}
+
+/**
+ * Encode a canvas, failing instead of returning a PNG when the browser lacks the encoder
+ */
+export function encodeCanvas(canvas, formatId, quality = DEFAULT_EXPORT_SETTINGS.quality) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format) {
+    return Promise.reject(new Error(`Unknown export format: ${formatId}`));
+  }
+  if (format.bitstream && !isFormatSupported(formatId)) {
+    // The MIME type alone would not reveal that the encoder ignored the requested mode
+    return Promise.reject(new Error(`${format.label} encoding is not supported by this browser`));
+  }
+
+  const encoderQuality = format.fixedQuality ?? (format.lossy ? quality : undefined);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to create blob'));
+      } else if (blob.type !== format.mimeType) {
+        reject(new Error(`${format.label} encoding is not supported by this browser`));
+      } else {
+        resolve(blob);
+      }
+    }, format.mimeType, encoderQuality);
+  });
+}
+
+/**
+ * Build the download name so the extension always matches the real encoding
+ */
+export function getExportFilename(originalName, formatId, suffix = '_no_bg') {
+  const nameWithoutExt = (originalName || 'image').replace(/\.[^/.]+$/, '');
+  return `${nameWithoutExt}${suffix}.${EXPORT_FORMATS[formatId].extension}`;
+}
+
+/**
+ * Compose and encode a processed image with the current background and export settings
+ */
+export async function exportImage(processedUrl, { background, shadow, outline, crop, format, quality, originalUrl }) {
+  const img = await loadImage(processedUrl);
+  const originalImage = background?.type === 'portrait' && originalUrl ? await loadImage(originalUrl) : null;
+  const canvas = await composeImage(img, {
+    background,
+    shadow,
+    outline,
+    crop,
+    originalImage,
+    flatten: !EXPORT_FORMATS[format].alpha
+  });
+  return encodeCanvas(canvas, format, quality);
+}
+
+/**
+ * Draw a single-channel mask from the worker as an opaque grayscale image
+ */
+export function createMaskCanvas({ width, height, data }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const values = new Uint8ClampedArray(data);
+  const imageData = ctx.createImageData(width, height);
+  for (let i = 0; i < values.length; ++i) {
+    imageData.data[4 * i] = values[i];
+    imageData.data[4 * i + 1] = values[i];
+    imageData.data[4 * i + 2] = values[i];
+    imageData.data[4 * i + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+export function encodeMask(mask) {
+  return encodeCanvas(createMaskCanvas(mask), 'png');
+}
+
+/**
+ * Object URL of a downscaled copy of an image file, so image lists do not decode full-size photos
+ */
+export async function createThumbnailUrl(blob, maxSize = THUMBNAIL_SIZE) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const thumbnail = await encodeCanvas(canvas, isFormatSupported('webp') ? 'webp' : 'png');
+  return URL.createObjectURL(thumbnail);
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+
+  // Trigger download
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Clean up
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,713 @@
+// Pure alpha-mask operations shared by the worker and the main thread.
+// Masks are single-channel Uint8ClampedArray values in row-major order.
+
+export const DEFAULT_MASK_SETTINGS = {
+  keepRegions: 0, // Keep only this many of the largest regions; 0 keeps them all
+  minRegionArea: 0, // Drop regions smaller than this percentage of the image area
+  maxHoleArea: 0, // Fill enclosed holes up to this percentage of the image area
+  threshold: 0, // Binarize at this alpha value (1-255); 0 keeps the soft matte
+  choke: 0, // Pixels to contract the edge by; negative values expand it
+  feather: 0, // Blur radius in pixels applied to the edge
+  gamma: 1, // Exponent applied to alpha; above 1 tightens soft edges, below 1 thickens them
+  decontaminate: 0, // Strength (0-1) of replacing background spill in edge colors
+  detail: 'off', // High-resolution refinement of the upscaled matte, one of DETAIL_MODES
+  mattingInner: 0, // Width in pixels of the trimap's unknown band inside the mask edge
+  mattingOuter: 0 // Width in pixels of the unknown band outside the edge; matting is off while both are 0
+};
+
+// Quality/speed presets of the high-resolution refinement. The guided filter is solved on a copy of
+// the image shrunk by `subsample`: larger steps are faster and lighter but snap to coarser edges.
+export const DETAIL_MODES = {
+  off: { label: 'Off', subsample: 0 },
+  fast: { label: 'Fast', subsample: 8 },
+  balanced: { label: 'Balanced', subsample: 4 },
+  best: { label: 'Best', subsample: 2 }
+};
+
+// Images up to this size are close to the model resolution and gain nothing from refinement
+const DETAIL_MIN_SIZE = 1024;
+
+// Regularization of the guided filter on [0, 1] values; smaller values follow image edges more closely
+const GUIDED_FILTER_EPSILON = 1e-4;
+
+export function isDefaultMaskSettings(settings) {
+  return !settings || Object.keys(DEFAULT_MASK_SETTINGS).every(
+    key => (settings[key] ?? DEFAULT_MASK_SETTINGS[key]) === DEFAULT_MASK_SETTINGS[key]
+  );
+}
+
+// Values of the `changes` map returned by cleanupRegions
+export const REGION_CHANGES = {
+  removed: 1,
+  filled: 2
+};
+
+export function isMattingEnabled(settings) {
+  return settings?.mattingInner > 0 || settings?.mattingOuter > 0;
+}
+
+/**
+ * Sliding-window minimum or maximum over one line (van Herk/Gil-Werman, O(n) for any radius)
+ */
+function filterLine(src, dst, start, stride, length, radius, pick) {
+  const size = 2 * radius + 1;
+  const prefix = new Uint8ClampedArray(length + 2 * radius);
+  const suffix = new Uint8ClampedArray(length + 2 * radius);
+  const padValue = pick === Math.max ? 0 : 255;
+
+  // Pad so the window is defined at both ends without shrinking the subject at the border
+  const padded = (i) => {
+    const index = i - radius;
+    return index < 0 || index >= length ? padValue : src[start + index * stride];
+  };
+
+  const paddedLength = length + 2 * radius;
+  for (let i = 0; i < paddedLength; i++) {
+    prefix[i] = i % size === 0 ? padded(i) : pick(prefix[i - 1], padded(i));
+  }
+  for (let i = paddedLength - 1; i >= 0; i--) {
+    suffix[i] = i === paddedLength - 1 || (i + 1) % size === 0 ? padded(i) : pick(suffix[i + 1], padded(i));
+  }
+  for (let i = 0; i < length; i++) {
+    dst[start + i * stride] = pick(suffix[i], prefix[i + 2 * radius]);
+  }
+}
+
+/**
+ * Grayscale erosion (pick = Math.min) or dilation (pick = Math.max) with a square window
+ */
+function morph(alpha, width, height, radius, pick) {
+  const horizontal = new Uint8ClampedArray(alpha.length);
+  const result = new Uint8ClampedArray(alpha.length);
+  for (let y = 0; y < height; y++) {
+    filterLine(alpha, horizontal, y * width, 1, width, radius, pick);
+  }
+  for (let x = 0; x < width; x++) {
+    filterLine(horizontal, result, x, width, height, radius, pick);
+  }
+  return result;
+}
+
+export function erode(alpha, width, height, radius) {
+  return radius > 0 ? morph(alpha, width, height, radius, Math.min) : alpha;
+}
+
+export function dilate(alpha, width, height, radius) {
+  return radius > 0 ? morph(alpha, width, height, radius, Math.max) : alpha;
+}
+
+// Squared distance used for pixels with no foreground in range
+const FAR = 1e20;
+
+/**
+ * One-dimensional squared Euclidean distance transform (Felzenszwalb & Huttenlocher)
+ */
+function distanceLine(grid, start, stride, length, f, v, z) {
+  for (let i = 0; i < length; i++) {
+    f[i] = grid[start + i * stride];
+  }
+
+  let k = 0;
+  v[0] = 0;
+  z[0] = -FAR;
+  z[1] = FAR;
+  for (let q = 1; q < length; q++) {
+    let s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = FAR;
+  }
+
+  k = 0;
+  for (let q = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    grid[start + q * stride] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+}
+
+/**
+ * Dilate with a round brush, so corners stay smooth, and anti-alias the new edge.
+ * Distances are measured from pixels that are at least half opaque.
+ */
+export function dilateRound(alpha, width, height, radius) {
+  if (radius <= 0) {
+    return alpha;
+  }
+
+  const grid = new Float64Array(width * height);
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = alpha[i] >= 128 ? 0 : FAR;
+  }
+
+  const longest = Math.max(width, height);
+  const f = new Float64Array(longest);
+  const v = new Int32Array(longest);
+  const z = new Float64Array(longest + 1);
+  for (let x = 0; x < width; x++) {
+    distanceLine(grid, x, width, height, f, v, z);
+  }
+  for (let y = 0; y < height; y++) {
+    distanceLine(grid, y * width, 1, width, f, v, z);
+  }
+
+  const result = new Uint8ClampedArray(alpha.length);
+  for (let i = 0; i < result.length; i++) {
+    const coverage = Math.min(1, Math.max(0, radius - Math.sqrt(grid[i]) + 0.5));
+    result[i] = Math.max(alpha[i], coverage * 255);
+  }
+  return result;
+}
+
+function boxBlurLine(src, dst, start, stride, length, radius) {
+  const size = 2 * radius + 1;
+  let sum = 0;
+  // Clamp to the edge pixels so borders are not darkened
+  for (let i = -radius; i <= radius; i++) {
+    sum += src[start + Math.min(length - 1, Math.max(0, i)) * stride];
+  }
+  for (let i = 0; i < length; i++) {
+    dst[start + i * stride] = sum / size;
+    const outgoing = Math.max(0, i - radius);
+    const incoming = Math.min(length - 1, i + radius + 1);
+    sum += src[start + incoming * stride] - src[start + outgoing * stride];
+  }
+}
+
+/**
+ * Approximate a Gaussian blur with three box blur passes.
+ * Pass Float32Array as `ArrayType` to keep fractional values between passes.
+ */
+export function blur(values, width, height, radius, ArrayType = Uint8ClampedArray) {
+  if (radius <= 0) {
+    return values;
+  }
+
+  const boxRadius = Math.max(1, Math.round(radius / 2));
+  let current = values;
+  const temp = new ArrayType(values.length);
+  for (let pass = 0; pass < 3; pass++) {
+    const next = new ArrayType(values.length);
+    for (let y = 0; y < height; y++) {
+      boxBlurLine(current, temp, y * width, 1, width, boxRadius);
+    }
+    for (let x = 0; x < width; x++) {
+      boxBlurLine(temp, next, x, width, height, boxRadius);
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * Mean over a square window with a single box pass per direction, on Float32 values
+ */
+function boxFilter(values, width, height, radius) {
+  const temp = new Float32Array(values.length);
+  const result = new Float32Array(values.length);
+  for (let y = 0; y < height; y++) {
+    boxBlurLine(values, temp, y * width, 1, width, radius);
+  }
+  for (let x = 0; x < width; x++) {
+    boxBlurLine(temp, result, x, width, height, radius);
+  }
+  return result;
+}
+
+/**
+ * Refine a matte that was upscaled from the model resolution against the full-resolution RGBA image,
+ * using the fast guided filter (He & Sun) with the image luminance as guide. Returns a new mask.
+ * Areas where the matte is solid over the whole filter window are left untouched.
+ */
+export function refineMaskDetail(alpha, rgba, width, height, detail) {
+  const subsample = DETAIL_MODES[detail]?.subsample;
+  if (!subsample || Math.max(width, height) <= DETAIL_MIN_SIZE) {
+    return new Uint8ClampedArray(alpha);
+  }
+
+  // A window of about four matte pixels of a 1024px model output, solved on a grid that keeps
+  // at least two cells per window radius
+  const radius = Math.max(2, Math.round(Math.max(width, height) / 256));
+  const scale = Math.max(1, Math.min(subsample, Math.floor(radius / 2)));
+  const smallWidth = Math.ceil(width / scale);
+  const smallHeight = Math.ceil(height / scale);
+  const smallRadius = Math.max(1, Math.round(radius / scale));
+  const count = smallWidth * smallHeight;
+
+  // Average the luminance and the matte over scale x scale blocks
+  const guide = new Float32Array(count);
+  const mask = new Float32Array(count);
+  const area = new Float32Array(count);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / scale) * smallWidth;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const j = row + Math.floor(x / scale);
+      guide[j] += (0.299 * rgba[4 * i] + 0.587 * rgba[4 * i + 1] + 0.114 * rgba[4 * i + 2]) / 255;
+      mask[j] += alpha[i] / 255;
+      area[j]++;
+    }
+  }
+
+  const guideSquared = new Float32Array(count);
+  const product = new Float32Array(count);
+  for (let j = 0; j < count; j++) {
+    guide[j] /= area[j];
+    mask[j] /= area[j];
+    guideSquared[j] = guide[j] * guide[j];
+    product[j] = guide[j] * mask[j];
+  }
+
+  const meanGuide = boxFilter(guide, smallWidth, smallHeight, smallRadius);
+  const meanMask = boxFilter(mask, smallWidth, smallHeight, smallRadius);
+  const meanSquared = boxFilter(guideSquared, smallWidth, smallHeight, smallRadius);
+  const meanProduct = boxFilter(product, smallWidth, smallHeight, smallRadius);
+
+  // Fit matte = a * luminance + b in every window, reusing the squared and product buffers
+  const a = guideSquared;
+  const b = product;
+  for (let j = 0; j < count; j++) {
+    const variance = meanSquared[j] - meanGuide[j] * meanGuide[j];
+    const covariance = meanProduct[j] - meanGuide[j] * meanMask[j];
+    a[j] = covariance / (variance + GUIDED_FILTER_EPSILON);
+    b[j] = meanMask[j] - a[j] * meanGuide[j];
+  }
+  const meanA = boxFilter(a, smallWidth, smallHeight, smallRadius);
+  const meanB = boxFilter(b, smallWidth, smallHeight, smallRadius);
+
+  // Evaluate the averaged fit at full resolution with bilinearly interpolated coefficients
+  const result = new Uint8ClampedArray(alpha);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(smallHeight - 1, Math.max(0, (y + 0.5) / scale - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(smallHeight - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(smallWidth - 1, Math.max(0, (x + 0.5) / scale - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(smallWidth - 1, x0 + 1);
+      const fx = sx - x0;
+
+      const nearest = (fy < 0.5 ? y0 : y1) * smallWidth + (fx < 0.5 ? x0 : x1);
+      if (meanMask[nearest] < 0.001 || meanMask[nearest] > 0.999) continue;
+
+      const i00 = y0 * smallWidth + x0;
+      const i01 = y0 * smallWidth + x1;
+      const i10 = y1 * smallWidth + x0;
+      const i11 = y1 * smallWidth + x1;
+      const coefficientA = (meanA[i00] * (1 - fx) + meanA[i01] * fx) * (1 - fy) + (meanA[i10] * (1 - fx) + meanA[i11] * fx) * fy;
+      const coefficientB = (meanB[i00] * (1 - fx) + meanB[i01] * fx) * (1 - fy) + (meanB[i10] * (1 - fx) + meanB[i11] * fx) * fy;
+
+      const i = y * width + x;
+      const luminance = (0.299 * rgba[4 * i] + 0.587 * rgba[4 * i + 1] + 0.114 * rgba[4 * i + 2]) / 255;
+      result[i] = (coefficientA * luminance + coefficientB) * 255;
+    }
+  }
+  return result;
+}
+
+// Rays cast from every unknown pixel to collect foreground and background samples
+const MATTING_RAYS = 4;
+
+// Radius of the neighbourhood whose best sample pairs every unknown pixel also tries
+const MATTING_SHARE_RADIUS = 2;
+
+// Cost of a sample pair's distance, relative to the color distortion of its fit, per full ray length
+const MATTING_SPATIAL_COST = 0.1;
+
+// Color distortion (RGB distance on [0, 1]) at which a fit is trusted about a third as much as the model
+const MATTING_CONFIDENCE = 0.1;
+
+/**
+ * Fit the color of pixel `i` as a mix of pixels `f` and `b`; writes [alpha, distortion] into `out`
+ */
+function fitAlpha(rgba, i, f, b, out) {
+  let dot = 0;
+  let norm = 0;
+  for (let c = 0; c < 3; c++) {
+    const spread = rgba[4 * f + c] - rgba[4 * b + c];
+    dot += (rgba[4 * i + c] - rgba[4 * b + c]) * spread;
+    norm += spread * spread;
+  }
+  const a = Math.min(1, Math.max(0, dot / (norm + 1)));
+
+  let distortion = 0;
+  for (let c = 0; c < 3; c++) {
+    const difference = rgba[4 * i + c] - (a * rgba[4 * f + c] + (1 - a) * rgba[4 * b + c]);
+    distortion += difference * difference;
+  }
+  out[0] = a;
+  out[1] = Math.sqrt(distortion) / 255;
+}
+
+/**
+ * Solve alpha where the matte is uncertain with a sampling-based matting pass (after Shared Matting,
+ * Gastal & Oliveira), for hair, fur and other fine detail. Returns a new mask.
+ *
+ * The trimap marks the band `inner` pixels inside and `outer` pixels outside the mask edge, and any
+ * other soft pixels, as unknown. Each unknown pixel collects the nearest definite foreground and
+ * background pixels along a few rays, keeps the pair that best explains its color, and then tries
+ * the pairs chosen by its neighbours. Poor fits lean on the model's alpha instead.
+ */
+export function solveTrimapMatte(alpha, rgba, width, height, inner, outer) {
+  const pixelCount = width * height;
+  const binary = new Uint8ClampedArray(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    binary[i] = alpha[i] >= 128 ? 255 : 0;
+  }
+  const inside = erode(binary, width, height, Math.round(inner));
+  const near = dilate(binary, width, height, Math.round(outer));
+
+  // Trimap: 255 definite foreground, 0 definite background, 128 unknown
+  const trimap = new Uint8Array(pixelCount);
+  const slots = new Int32Array(pixelCount).fill(-1);
+  let unknownCount = 0;
+  for (let i = 0; i < pixelCount; i++) {
+    if (inside[i] === 255 && alpha[i] >= 250) {
+      trimap[i] = 255;
+    } else if (near[i] === 0 && alpha[i] <= 5) {
+      trimap[i] = 0;
+    } else {
+      trimap[i] = 128;
+      slots[i] = unknownCount++;
+    }
+  }
+
+  const result = new Uint8ClampedArray(alpha);
+  if (unknownCount === 0) {
+    return result;
+  }
+
+  const unknown = new Int32Array(unknownCount);
+  for (let i = 0; i < pixelCount; i++) {
+    if (slots[i] >= 0) unknown[slots[i]] = i;
+  }
+
+  // Gather: the cheapest pair of the samples found along the rays
+  const reach = 2 * Math.round(inner + outer) + 16;
+  const foregroundSamples = new Int32Array(MATTING_RAYS);
+  const foregroundDistances = new Float32Array(MATTING_RAYS);
+  const backgroundSamples = new Int32Array(MATTING_RAYS);
+  const backgroundDistances = new Float32Array(MATTING_RAYS);
+  const bestForeground = new Int32Array(unknownCount).fill(-1);
+  const bestBackground = new Int32Array(unknownCount).fill(-1);
+  const fit = new Float32Array(2);
+
+  for (let slot = 0; slot < unknownCount; slot++) {
+    const i = unknown[slot];
+    const x = i % width;
+    const y = (i - x) / width;
+    // Rotate the rays from pixel to pixel so neighbours sample different directions
+    const rotation = ((x * 7 + y * 13) % 16) / 16;
+    let foregroundCount = 0;
+    let backgroundCount = 0;
+
+    for (let ray = 0; ray < MATTING_RAYS; ray++) {
+      const angle = (ray + rotation) * 2 * Math.PI / MATTING_RAYS;
+      const dx = Math.cos(angle);
+      const dy = Math.sin(angle);
+      let foundForeground = false;
+      let foundBackground = false;
+      for (let step = 1; step <= reach && !(foundForeground && foundBackground); step++) {
+        const sx = Math.round(x + dx * step);
+        const sy = Math.round(y + dy * step);
+        if (sx < 0 || sy < 0 || sx >= width || sy >= height) break;
+
+        const j = sy * width + sx;
+        if (trimap[j] === 255 && !foundForeground) {
+          foundForeground = true;
+          foregroundSamples[foregroundCount] = j;
+          foregroundDistances[foregroundCount++] = step;
+        } else if (trimap[j] === 0 && !foundBackground) {
+          foundBackground = true;
+          backgroundSamples[backgroundCount] = j;
+          backgroundDistances[backgroundCount++] = step;
+        }
+      }
+    }
+
+    let bestCost = Infinity;
+    for (let f = 0; f < foregroundCount; f++) {
+      for (let b = 0; b < backgroundCount; b++) {
+        fitAlpha(rgba, i, foregroundSamples[f], backgroundSamples[b], fit);
+        const cost = fit[1] + MATTING_SPATIAL_COST * (foregroundDistances[f] + backgroundDistances[b]) / reach;
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestForeground[slot] = foregroundSamples[f];
+          bestBackground[slot] = backgroundSamples[b];
+        }
+      }
+    }
+  }
+
+  // Share: try the neighbours' pairs and keep the best fit, blended with the model by confidence
+  for (let slot = 0; slot < unknownCount; slot++) {
+    const i = unknown[slot];
+    const x = i % width;
+    const y = (i - x) / width;
+    let bestAlpha = -1;
+    let bestDistortion = Infinity;
+
+    for (let ny = Math.max(0, y - MATTING_SHARE_RADIUS); ny <= Math.min(height - 1, y + MATTING_SHARE_RADIUS); ny++) {
+      for (let nx = Math.max(0, x - MATTING_SHARE_RADIUS); nx <= Math.min(width - 1, x + MATTING_SHARE_RADIUS); nx++) {
+        const neighbour = slots[ny * width + nx];
+        if (neighbour < 0 || bestForeground[neighbour] < 0) continue;
+
+        fitAlpha(rgba, i, bestForeground[neighbour], bestBackground[neighbour], fit);
+        if (fit[1] < bestDistortion) {
+          bestDistortion = fit[1];
+          bestAlpha = fit[0];
+        }
+      }
+    }
+
+    if (bestAlpha >= 0) {
+      const confidence = Math.exp(-Math.pow(bestDistortion / MATTING_CONFIDENCE, 2));
+      result[i] = confidence * bestAlpha * 255 + (1 - confidence) * alpha[i];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Label the 8-connected regions of pixels at least half opaque (`foreground`), or the 4-connected
+ * regions of the other pixels. Label 0 marks pixels outside any region; `areas` and `touchesBorder`
+ * are indexed by label.
+ */
+function labelRegions(alpha, width, height, foreground) {
+  const pixelCount = width * height;
+  const labels = new Int32Array(pixelCount);
+  const areas = [0];
+  const touchesBorder = [false];
+  const stack = new Int32Array(pixelCount);
+  const inside = (i) => (alpha[i] >= 128) === foreground;
+
+  for (let start = 0; start < pixelCount; start++) {
+    if (labels[start] !== 0 || !inside(start)) continue;
+
+    const label = areas.length;
+    let area = 0;
+    let border = false;
+    let top = 0;
+    labels[start] = label;
+    stack[top++] = start;
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      area++;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        border = true;
+      }
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          // Diagonal neighbours only connect foreground, so a diagonal gap does not split a hole from the outside
+          if ((dx === 0 && dy === 0) || (!foreground && dx !== 0 && dy !== 0)) continue;
+
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+          const j = ny * width + nx;
+          if (labels[j] === 0 && inside(j)) {
+            labels[j] = label;
+            stack[top++] = j;
+          }
+        }
+      }
+    }
+    areas.push(area);
+    touchesBorder.push(border);
+  }
+
+  return { labels, areas, touchesBorder };
+}
+
+/**
+ * Remove speckles and fill holes with connected-component analysis: keep the `keepRegions` largest
+ * regions, drop regions under `minRegionArea` and fill enclosed holes up to `maxHoleArea`.
+ * Returns the cleaned mask, which is `alpha` itself when cleanup is off, and a map of the changed
+ * pixels (see REGION_CHANGES), which is null when nothing changed.
+ */
+export function cleanupRegions(alpha, width, height, settings) {
+  const { keepRegions, minRegionArea, maxHoleArea } = { ...DEFAULT_MASK_SETTINGS, ...settings };
+  if (!(keepRegions > 0 || minRegionArea > 0 || maxHoleArea > 0)) {
+    return { mask: alpha, changes: null };
+  }
+
+  const pixelCount = width * height;
+  const result = new Uint8ClampedArray(alpha);
+  const changes = new Uint8Array(pixelCount);
+  let changed = false;
+
+  if (keepRegions > 0 || minRegionArea > 0) {
+    const { labels, areas } = labelRegions(alpha, width, height, true);
+    const minPixels = minRegionArea / 100 * pixelCount;
+    const keep = new Uint8Array(areas.length);
+    const bySize = areas.map((_, label) => label).slice(1).sort((a, b) => areas[b] - areas[a]);
+    bySize.forEach((label, rank) => {
+      keep[label] = (keepRegions === 0 || rank < keepRegions) && areas[label] >= minPixels ? 1 : 0;
+    });
+
+    const removed = new Uint8ClampedArray(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      if (labels[i] > 0 && !keep[labels[i]]) {
+        removed[i] = 255;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      // The soft fringe of a removed region, as wide as an upscaled matte edge, goes with it
+      const fringe = dilate(removed, width, height, Math.max(2, Math.round(Math.max(width, height) / 512)));
+      for (let i = 0; i < pixelCount; i++) {
+        if (fringe[i] === 255 && result[i] > 0 && (removed[i] === 255 || labels[i] === 0)) {
+          result[i] = 0;
+          changes[i] = REGION_CHANGES.removed;
+        }
+      }
+    }
+  }
+
+  if (maxHoleArea > 0) {
+    const { labels, areas, touchesBorder } = labelRegions(result, width, height, false);
+    const maxPixels = maxHoleArea / 100 * pixelCount;
+    for (let i = 0; i < pixelCount; i++) {
+      const label = labels[i];
+      if (label > 0 && !touchesBorder[label] && areas[label] <= maxPixels) {
+        result[i] = 255;
+        changes[i] = REGION_CHANGES.filled;
+        changed = true;
+      }
+    }
+  }
+
+  return { mask: result, changes: changed ? changes : null };
+}
+
+/**
+ * Replace background spill in semi-transparent edge pixels of an RGBA buffer, in place.
+ * The local foreground color is the average of nearby pixels weighted by their opacity,
+ * so edges take on the subject's color instead of the old background's.
+ */
+export function decontaminateColors(rgba, width, height, strength) {
+  if (strength <= 0) {
+    return;
+  }
+
+  const pixelCount = width * height;
+  const radius = Math.max(4, Math.round(Math.max(width, height) / 200));
+
+  // Squared alpha favours confidently opaque neighbours
+  const weights = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const a = rgba[4 * i + 3] / 255;
+    weights[i] = a * a;
+  }
+  const weightSum = blur(weights, width, height, radius, Float32Array);
+
+  for (let channel = 0; channel < 3; channel++) {
+    const weighted = new Float32Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      weighted[i] = rgba[4 * i + channel] * weights[i];
+    }
+    const foreground = blur(weighted, width, height, radius, Float32Array);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const a = rgba[4 * i + 3];
+      if (a === 0 || a === 255 || weightSum[i] < 1e-4) continue;
+
+      // Fully replace colours at half opacity and below, fading out towards opaque pixels
+      const t = strength * Math.min(1, 2 * (1 - a / 255));
+      const index = 4 * i + channel;
+      rgba[index] = rgba[index] + (foreground[i] / weightSum[i] - rgba[index]) * t;
+    }
+  }
+}
+
+// How a selection made with point prompts is merged into the existing mask
+export const COMBINE_MODES = {
+  union: 'Add to mask',
+  subtract: 'Subtract from mask',
+  replace: 'Replace mask'
+};
+
+/**
+ * Merge `selection` into `alpha` with one of COMBINE_MODES and return a new mask
+ */
+export function combineMasks(alpha, selection, mode) {
+  const result = new Uint8ClampedArray(alpha.length);
+  switch (mode) {
+    case 'union':
+      for (let i = 0; i < result.length; i++) {
+        result[i] = Math.max(alpha[i], selection[i]);
+      }
+      break;
+    case 'subtract':
+      for (let i = 0; i < result.length; i++) {
+        result[i] = Math.min(alpha[i], 255 - selection[i]);
+      }
+      break;
+    case 'replace':
+      result.set(selection);
+      break;
+    default:
+      throw new Error(`Unknown combine mode: ${mode}`);
+  }
+  return result;
+}
+
+/**
+ * Apply detail refinement, matting, threshold, choke, feather and gamma in that order and return a new mask.
+ * Detail refinement and matting need the full-resolution RGBA pixels as `rgba` and are skipped without them.
+ * `onStep(step)` is called before each slow step ('detail', 'matting', 'choke' or 'feather') that runs.
+ */
+export function postprocessMask(alpha, width, height, settings, rgba = null, onStep = () => {}) {
+  const { threshold, choke, feather, gamma, detail, mattingInner, mattingOuter } = { ...DEFAULT_MASK_SETTINGS, ...settings };
+  let result = new Uint8ClampedArray(alpha);
+  if (rgba && detail !== 'off') {
+    onStep('detail');
+    result = refineMaskDetail(alpha, rgba, width, height, detail);
+  }
+
+  if (rgba && isMattingEnabled(settings)) {
+    onStep('matting');
+    result = solveTrimapMatte(result, rgba, width, height, mattingInner, mattingOuter);
+  }
+
+  if (threshold > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] = result[i] >= threshold ? 255 : 0;
+    }
+  }
+
+  if (choke !== 0) {
+    onStep('choke');
+    result = choke > 0
+      ? erode(result, width, height, Math.round(choke))
+      : dilate(result, width, height, Math.round(-choke));
+  }
+
+  if (feather > 0) {
+    onStep('feather');
+    result = blur(result, width, height, feather);
+  }
+
+  if (gamma !== 1) {
+    const lut = new Uint8ClampedArray(256);
+    for (let i = 0; i < 256; i++) {
+      lut[i] = Math.pow(i / 255, gamma) * 255;
+    }
+    for (let i = 0; i < result.length; i++) {
+      result[i] = lut[result[i]];
+    }
+  }
+
+  return result;
+}
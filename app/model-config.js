@@ -0,0 +1,42 @@
+// Where the worker loads model files from. Values are read from NEXT_PUBLIC_* variables at build time.
+//
+//   NEXT_PUBLIC_MODEL_BASE_URL       Local model root, a path under /public or an absolute URL (default: /models/)
+//   NEXT_PUBLIC_ALLOW_LOCAL_MODELS   Set to "false" to skip the local model root
+//   NEXT_PUBLIC_ALLOW_REMOTE_MODELS  Set to "false" to never fall back to the Hugging Face Hub (air-gapped setups)
+//   NEXT_PUBLIC_MODEL_REMOTE_HOST    Optional Hub mirror used for the remote fallback
+
+function withTrailingSlash(path) {
+  return path.endsWith('/') ? path : `${path}/`;
+}
+
+export const modelConfig = {
+  localModelPath: withTrailingSlash(process.env.NEXT_PUBLIC_MODEL_BASE_URL || '/models/'),
+  allowLocalModels: process.env.NEXT_PUBLIC_ALLOW_LOCAL_MODELS !== 'false',
+  allowRemoteModels: process.env.NEXT_PUBLIC_ALLOW_REMOTE_MODELS !== 'false',
+  remoteHost: process.env.NEXT_PUBLIC_MODEL_REMOTE_HOST
+    ? withTrailingSlash(process.env.NEXT_PUBLIC_MODEL_REMOTE_HOST)
+    : null
+};
+
+/**
+ * Sources to try in order: the local model root first, then the Hub when allowed
+ */
+export function getModelSources() {
+  const sources = [];
+
+  if (modelConfig.allowLocalModels) {
+    sources.push({
+      id: 'local',
+      description: `local model root ${modelConfig.localModelPath}`
+    });
+  }
+
+  if (modelConfig.allowRemoteModels) {
+    sources.push({
+      id: 'remote',
+      description: modelConfig.remoteHost ? `remote host ${modelConfig.remoteHost}` : 'Hugging Face Hub'
+    });
+  }
+
+  return sources;
+}
@@ -0,0 +1,158 @@
+// Registry of background segmentation models the worker can run.
+//
+// Each entry declares everything the worker needs to run the model without reading
+// preprocessor_config.json from the repository:
+//   repo            Model repository, resolved against the local model root or the Hub
+//   processorConfig Image processor settings (resize, rescale and normalization)
+//   inputName       Name of the ONNX input that receives `pixel_values`
+//   outputName      Name of the ONNX output holding the matte (null uses the first output)
+//   maskPostprocess How raw output values map to alpha: 'clamp', 'minmax' or 'sigmoid'
+//   dtypes          Precisions published in the repository, with their approximate download size in MB
+
+// Shared by the rembg-style exports, which were trained on ImageNet statistics
+const IMAGENET_NORMALIZATION = {
+  image_mean: [0.485, 0.456, 0.406],
+  image_std: [0.229, 0.224, 0.225]
+};
+
+function squareProcessorConfig(size, normalization) {
+  return {
+    do_normalize: true,
+    do_pad: false,
+    do_rescale: true,
+    do_resize: true,
+    resample: 2,
+    rescale_factor: 1 / 255,
+    size: { width: size, height: size },
+    ...normalization
+  };
+}
+
+export const MODEL_REGISTRY = {
+  'rmbg-1.4': {
+    label: 'RMBG-1.4',
+    description: 'Best general-purpose quality',
+    repo: 'briaai/RMBG-1.4',
+    processorConfig: squareProcessorConfig(1024, { image_mean: [0.5, 0.5, 0.5], image_std: [1, 1, 1] }),
+    inputName: 'input',
+    outputName: 'output',
+    maskPostprocess: 'clamp',
+    dtypes: { fp32: 176, fp16: 88, q8: 44 }
+  },
+  modnet: {
+    label: 'MODNet',
+    description: 'Fast, tuned for portraits',
+    repo: 'Xenova/modnet',
+    processorConfig: {
+      do_normalize: true,
+      do_pad: false,
+      do_rescale: true,
+      do_resize: true,
+      resample: 2,
+      rescale_factor: 1 / 255,
+      image_mean: [0.5, 0.5, 0.5],
+      image_std: [0.5, 0.5, 0.5],
+      // MODNet keeps the aspect ratio and needs dimensions divisible by 32
+      size: { shortest_edge: 512 },
+      size_divisibility: 32
+    },
+    inputName: 'input',
+    outputName: 'output',
+    maskPostprocess: 'clamp',
+    dtypes: { fp32: 25.9, fp16: 13, q8: 6.6, q4: 4.1 }
+  },
+  isnet: {
+    label: 'ISNet',
+    description: 'Sharp edges on objects',
+    repo: 'BritishWerewolf/IS-Net',
+    processorConfig: squareProcessorConfig(1024, { image_mean: [0.5, 0.5, 0.5], image_std: [1, 1, 1] }),
+    inputName: 'input_image',
+    outputName: null,
+    maskPostprocess: 'minmax',
+    dtypes: { fp32: 176, fp16: 88, q8: 44 }
+  },
+  'u2netp': {
+    label: 'U²-Net-p',
+    description: 'Smallest download',
+    repo: 'BritishWerewolf/U-2-Netp',
+    processorConfig: squareProcessorConfig(320, IMAGENET_NORMALIZATION),
+    inputName: 'input.1',
+    outputName: null,
+    maskPostprocess: 'minmax',
+    dtypes: { fp32: 4.6, q8: 1.2 }
+  }
+};
+
+export const PRECISIONS = {
+  fp32: 'Full precision (fp32)',
+  fp16: 'Half precision (fp16)',
+  q8: '8-bit quantized (q8)',
+  q4: '4-bit quantized (q4)'
+};
+
+export const DEFAULT_DTYPE = 'fp32';
+
+export const DEFAULT_MODEL_ID = 'rmbg-1.4';
+
+// Point-prompted (Segment Anything) model used to select subjects by clicking. It is loaded with the
+// config and preprocessor_config.json of its repository, unlike the background models above.
+export const SEGMENTER_MODEL = {
+  label: 'SlimSAM',
+  repo: 'Xenova/slimsam-77-uniform',
+  dtype: 'q8'
+};
+
+export function getModel(modelId) {
+  const entry = MODEL_REGISTRY[modelId];
+  if (!entry) {
+    throw new Error(`Unknown model: ${modelId}`);
+  }
+  return { id: modelId, ...entry };
+}
+
+/**
+ * Pick the requested precision when the model publishes it, otherwise full precision
+ */
+export function resolveDtype(modelId, dtype) {
+  const { dtypes } = getModel(modelId);
+  return dtypes[dtype] !== undefined ? dtype : DEFAULT_DTYPE;
+}
+
+/**
+ * Convert a raw model output of shape [1, H, W] to 8-bit alpha values
+ */
+export function outputToAlpha(output, maskPostprocess) {
+  const values = output.data;
+  const alpha = new Uint8ClampedArray(values.length);
+
+  switch (maskPostprocess) {
+    case 'minmax': {
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = 0; i < values.length; ++i) {
+        if (values[i] < min) min = values[i];
+        if (values[i] > max) max = values[i];
+      }
+      const range = max - min || 1;
+      for (let i = 0; i < values.length; ++i) {
+        alpha[i] = ((values[i] - min) / range) * 255;
+      }
+      break;
+    }
+    case 'sigmoid':
+      for (let i = 0; i < values.length; ++i) {
+        alpha[i] = 255 / (1 + Math.exp(-values[i]));
+      }
+      break;
+    case 'clamp':
+      // Uint8ClampedArray clamps values outside [0, 1] for us
+      for (let i = 0; i < values.length; ++i) {
+        alpha[i] = values[i] * 255;
+      }
+      break;
+    default:
+      throw new Error(`Unknown mask post-processing: ${maskPostprocess}`);
+  }
+
+  return alpha;
+}
@@ -1,15 +1,47 @@
 'use client'
 
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { workerPool } from './worker-pool'
+import dynamic from 'next/dynamic'
+import { workerPool, TASK_PRIORITIES, POOL_HEALTH, EXECUTION_MODES } from './worker-pool'
 import ImageSlider from './ImageSlider'
+import SubjectSelector from './SubjectSelector'
+import { DEFAULT_EXPORT_SETTINGS, DEFAULT_BACKGROUND, DEFAULT_SHADOW, DEFAULT_OUTLINE, DEFAULT_CROP, exportImage, getExportLayout, encodeMask, getExportFilename, downloadBlob, createThumbnailUrl } from './image-export'
+import { ZipWriter, createBlobSink, createFileSink, getUniqueEntryName } from './zip-writer'
+import { MODEL_REGISTRY, DEFAULT_MODEL_ID, PRECISIONS, resolveDtype } from './models'
+import { DEFAULT_MASK_SETTINGS } from './mask-processing'
+import { RULE_SETS, checkCompliance, getComplianceFix } from './compliance'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
 import { Progress } from '@/components/ui/progress'
 import { Badge } from '@/components/ui/badge'
 import { Alert, AlertTitle, AlertDescription } from '@/components/ui/alert'
 import { Separator } from '@/components/ui/separator'
-import { Upload, Image as ImageIcon, CheckCircle2, Loader2, X, Zap, Sparkles, FileImage } from 'lucide-react'
+import { Upload, Image as ImageIcon, CheckCircle2, Loader2, X, Zap, Sparkles, FileImage, Download, Archive, Wrench, AlertTriangle, Undo2 } from 'lucide-react'
+
+const COMPLIANCE_BADGE_STYLES = {
+  pass: 'border-green-500/50 text-green-700 dark:text-green-400',
+  warn: 'border-amber-500/50 text-amber-700 dark:text-amber-400',
+  fail: 'border-red-500/50 text-red-700 dark:text-red-400'
+};
+
+// Uploaded files go to the workers as Blobs; only the example image is a plain URL
+function getImageSource(image) {
+  return image.file ?? image.url;
+}
+
+// Crop and background an image is exported with: its own once a compliance fix set them, otherwise the shared ones
+function getImageExportSettings(image, { background, crop }) {
+  return { background: image.background ?? background, crop: image.crop ?? crop };
+}
+
+// Object URL of an optional PNG returned with a result: the cutout built without matting
+// while matting is on, or the overlay of the regions changed by the cleanup
+function createOptionalPngUrl(buffer) {
+  return buffer ? URL.createObjectURL(new Blob([buffer], { type: 'image/png' })) : null;
+}
+
+// Konva needs the DOM, so the editor is only loaded in the browser
+const MaskEditor = dynamic(() => import('./MaskEditor'), { ssr: false });
 
 export default function Home() {
 
@@ -18,17 +50,44 @@ export default function Home() {
   const [processing, setProcessing] = useState(false);
   const [batchProcessing, setBatchProcessing] = useState(false);
   const [batchProgress, setBatchProgress] = useState({ current: 0, total: 0 });
+  const [exportProgress, setExportProgress] = useState(null); // ZIP export progress
   const [progress, setProgress] = useState(null);
   const [uploadedImages, setUploadedImages] = useState([]);
-  const [selectedImage, setSelectedImage] = useState(null);
+  const [selectedImageId, setSelectedImageId] = useState(null);
   const [showModelReady, setShowModelReady] = useState(false);
   const [workerPoolStats, setWorkerPoolStats] = useState(null);
-  const [backgroundColor, setBackgroundColor] = useState('#ffffff');
+  const [poolHealth, setPoolHealth] = useState(null); // Reported by the pool when workers crash, hang or restart
+  const [poolMetrics, setPoolMetrics] = useState(null); // Throughput and memory per execution mode
+  const [background, setBackground] = useState(DEFAULT_BACKGROUND);
+  const [backgroundImages, setBackgroundImages] = useState([]); // Uploaded background scenes
+  const [shadow, setShadow] = useState(DEFAULT_SHADOW); // Shared by every image so a batch matches
+  const [outline, setOutline] = useState(DEFAULT_OUTLINE); // Sticker outline
+  const [crop, setCrop] = useState(DEFAULT_CROP); // Auto-crop around the subject
+  const [ruleSetId, setRuleSetId] = useState(null); // Marketplace rules to check, null when off
+  const [customRules, setCustomRules] = useState(RULE_SETS.custom);
+  const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS);
   const [initProgress, setInitProgress] = useState(null); // Model initialization progress
+  const [modelId, setModelId] = useState(DEFAULT_MODEL_ID);
+  const [editingImageId, setEditingImageId] = useState(null); // Image open in the mask editor
+  const [selectingImageId, setSelectingImageId] = useState(null); // Image open in the subject selector
+  const [refiningImageId, setRefiningImageId] = useState(null); // Image whose mask settings are being applied
+
+  // Derive the selection from the list so it reflects processing results
+  const selectedImage = uploadedImages.find(img => img.id === selectedImageId) ?? null;
+  const rules = ruleSetId === 'custom' ? customRules : RULE_SETS[ruleSetId] ?? null;
 
   // Create a ref to store the latest processImage function
   const processImageRef = useRef(null);
 
+  // One abort controller per image, so removing an image cancels its queued and running tasks
+  const abortControllersRef = useRef(new Map());
+
+  // Latest refine request per image, so results of superseded requests are dropped
+  const refineRequestsRef = useRef(new Map());
+  const refineTimerRef = useRef(null);
+  // Object URLs of the uploaded background scenes, released when the page unmounts
+  const backgroundUrlsRef = useRef(new Set());
+
   // We use the `useEffect` hook to set up the worker pool as soon as the `App` component is mounted.
   useEffect(() => {
     // Initialize worker pool with progress callback
@@ -41,6 +100,7 @@ export default function Home() {
     const checkWorkerPoolStatus = () => {
       const stats = workerPool.getStats();
       setWorkerPoolStats(stats);
+      setPoolMetrics(workerPool.getMetrics());
 
       // Check if any worker is ready
       if (stats.readyWorkers > 0 && !ready) {
@@ -65,6 +125,9 @@ export default function Home() {
     };
   }, [ready]);
 
+  // Follow worker crashes, restarts and retries
+  useEffect(() => workerPool.onHealthChange(setPoolHealth), []);
+
   // Auto-hide model ready message after 2 seconds
   useEffect(() => {
     if (showModelReady) {
@@ -75,7 +138,24 @@ export default function Home() {
     }
   }, [showModelReady]);
 
-  const processImage = useCallback(async (imageUrl, imageId = null) => {
+  const getAbortSignal = useCallback((imageId) => {
+    const controllers = abortControllersRef.current;
+    if (!controllers.has(imageId)) {
+      controllers.set(imageId, new AbortController());
+    }
+    return controllers.get(imageId).signal;
+  }, []);
+
+  // Work on the selected image runs ahead of queued batch items
+  useEffect(() => {
+    if (selectedImageId === null) {
+      return;
+    }
+    workerPool.setPriority(selectedImageId, TASK_PRIORITIES.selected);
+    return () => workerPool.setPriority(selectedImageId, TASK_PRIORITIES.background);
+  }, [selectedImageId]);
+
+  const processImage = useCallback(async (source, imageId = null, maskSettings = null, priority = TASK_PRIORITIES.selected) => {
     if (!ready) {
       console.warn('Worker pool not ready yet');
       return;
@@ -84,43 +164,112 @@ export default function Home() {
     setProcessing(true);
 
     try {
-      const result = await workerPool.processImage(imageUrl, (progress) => {
+      const result = await workerPool.processImage(source, (progress) => {
         // Handle progress updates
         console.log('Processing progress:', progress);
         setProgress(progress);
+      }, {
+        maskSettings,
+        priority,
+        key: imageId,
+        signal: imageId ? getAbortSignal(imageId) : null
       });
 
       // Update the processed status for the image
       if (imageId) {
+        const processedUrl = URL.createObjectURL(new Blob([result.output.imageData], { type: 'image/png' }));
+        const maskUrl = URL.createObjectURL(await encodeMask(result.output.processedMask ?? result.output.mask));
+        const unmattedUrl = createOptionalPngUrl(result.output.unmattedImageData);
+        const regionPreviewUrl = createOptionalPngUrl(result.output.regionPreview);
         setUploadedImages(prev => {
-          return prev.map(img =>
-            img.id === imageId
-              ? {
-                  ...img,
-                  processed: true,
-                  processedUrl: URL.createObjectURL(new Blob([result.output.imageData])),
-                  processedResult: result.output
-                }
-              : img
-          );
+          return prev.map(img => {
+            if (img.id !== imageId) {
+              return img;
+            }
+            // Release the previous result when an image is reprocessed
+            if (img.processedUrl) {
+              URL.revokeObjectURL(img.processedUrl);
+              URL.revokeObjectURL(img.maskUrl);
+            }
+            for (const url of [img.unmattedUrl, img.regionPreviewUrl]) {
+              if (url) {
+                URL.revokeObjectURL(url);
+              }
+            }
+            return {
+              ...img,
+              processed: true,
+              processedUrl,
+              maskUrl,
+              unmattedUrl,
+              regionPreviewUrl,
+              processedResult: result.output,
+              refinedMask: null // Manual edits belong to the previous result
+
+            };
+          });
         });
       }
 
       return result;
     } catch (error) {
-      console.error('Image processing error:', error);
-      setProgress({ message: `Error: ${error.message}`, type: 'error' });
+      if (error.name === 'AbortError') {
+        console.log(`Processing cancelled for image ${imageId}`);
+      } else {
+        console.error('Image processing error:', error);
+        setProgress({ message: `Error: ${error.message}`, type: 'error' });
+      }
       throw error;
     } finally {
       setProcessing(false);
     }
-  }, [ready]);
+  }, [ready, getAbortSignal]);
 
   // Update the processImage ref whenever processImage changes
   useEffect(() => {
     processImageRef.current = processImage;
   }, [processImage]);
 
+  // Check each processed image against the marketplace rules whenever its export would change
+  useEffect(() => {
+    if (!rules) {
+      return;
+    }
+
+    const getSettingsKey = (img) => JSON.stringify({
+      rules,
+      outline,
+      format: exportSettings.format,
+      ...getImageExportSettings(img, { background, crop })
+    });
+    const stale = uploadedImages.filter(img =>
+      img.processedUrl && (img.compliance?.settingsKey !== getSettingsKey(img) || img.compliance.processedUrl !== img.processedUrl)
+    );
+
+    // Storing a report re-runs this effect, which picks up the remaining images
+    let cancelled = false;
+    const image = stale[0];
+    if (image) {
+      const settingsKey = getSettingsKey(image);
+      const imageSettings = getImageExportSettings(image, { background, crop });
+      getExportLayout(image.processedUrl, { outline, crop: imageSettings.crop })
+        .then(layout => {
+          if (cancelled) return;
+          const report = checkCompliance(layout, { background: imageSettings.background, format: exportSettings.format }, rules);
+          setUploadedImages(prev => prev.map(img =>
+            img.id === image.id
+              ? { ...img, compliance: { ...report, settingsKey, processedUrl: image.processedUrl } }
+              : img
+          ));
+        })
+        .catch(error => console.error(`Compliance check failed for ${image.name}:`, error));
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uploadedImages, rules, background, outline, crop, exportSettings.format]);
+
   const handleFileUpload = useCallback((event) => {
     const files = Array.from(event.target.files);
     if (files.length === 0) {
@@ -128,44 +277,333 @@ export default function Home() {
     }
 
     files.forEach((file) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const imageData = {
-          id: Date.now() + Math.random(),
-          url: e.target.result,
-          name: file.name,
-          size: file.size,
-          processed: false
-        };
-        setUploadedImages(prev => [...prev, imageData]);
-        // 不再自动设置selectedImage，初始时不显示预览
+      // Object URLs point at the file itself, so nothing is copied into a base64 string
+      const imageData = {
+        id: Date.now() + Math.random(),
+        file,
+        url: URL.createObjectURL(file),
+        thumbnailUrl: null, // Downscaled copy for the image list, created below
+        name: file.name,
+        size: file.size,
+        processed: false
       };
-      reader.readAsDataURL(file);
+      setUploadedImages(prev => [...prev, imageData]);
+      // 不再自动设置selectedImage，初始时不显示预览
+
+      createThumbnailUrl(file)
+        .then(thumbnailUrl => setUploadedImages(prev => {
+          if (!prev.some(img => img.id === imageData.id)) {
+            // Removed while the thumbnail was being made
+            URL.revokeObjectURL(thumbnailUrl);
+            return prev;
+          }
+          return prev.map(img => (img.id === imageData.id ? { ...img, thumbnailUrl } : img));
+        }))
+        .catch(error => console.error(`Failed to create a thumbnail for ${file.name}:`, error));
     });
   }, []);
 
+  // Scenes stay in the gallery once uploaded, so their URLs live until the page unmounts
+  useEffect(() => {
+    const urls = backgroundUrlsRef.current;
+    return () => {
+      for (const url of urls) {
+        URL.revokeObjectURL(url);
+      }
+      urls.clear();
+    };
+  }, []);
+
+  const handleBackgroundImageUpload = useCallback((file) => {
+    // Like uploads, scenes are referenced through an object URL instead of being copied into a data URL
+    const backgroundImage = {
+      id: Date.now() + Math.random(),
+      url: URL.createObjectURL(file),
+      name: file.name
+    };
+    backgroundUrlsRef.current.add(backgroundImage.url);
+    setBackgroundImages(prev => [...prev, backgroundImage]);
+    // Use the new scene right away
+    setBackground(prev => ({ ...prev, type: 'image', imageUrl: backgroundImage.url }));
+  }, []);
+
   const handleImageSelect = useCallback((image) => {
-    setSelectedImage(image);
+    setSelectedImageId(image.id);
   }, []);
 
   const handleRemoveImage = useCallback((imageId, event) => {
     event.stopPropagation();
+    abortControllersRef.current.get(imageId)?.abort();
+    abortControllersRef.current.delete(imageId);
+    workerPool.forgetKey(imageId);
+    const removed = uploadedImages.find(img => img.id === imageId);
+    if (removed?.file) {
+      URL.revokeObjectURL(removed.url);
+    }
+    for (const url of [removed?.thumbnailUrl, removed?.processedUrl, removed?.maskUrl, removed?.unmattedUrl, removed?.regionPreviewUrl]) {
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    }
     setUploadedImages(prev => prev.filter(img => img.id !== imageId));
-    if (selectedImage && selectedImage.id === imageId) {
-      setSelectedImage(uploadedImages.length > 1 ? uploadedImages[0] : null);
+    if (selectedImageId === imageId) {
+      const remaining = uploadedImages.filter(img => img.id !== imageId);
+      setSelectedImageId(remaining.length > 0 ? remaining[0].id : null);
+    }
+  }, [selectedImageId, uploadedImages]);
+
+  const handleDownloadImage = useCallback(async (image, event) => {
+    event.stopPropagation();
+    if (!image.processedUrl) {
+      return;
+    }
+
+    try {
+      const blob = await exportImage(image.processedUrl, {
+        ...getImageExportSettings(image, { background, crop }),
+        shadow,
+        outline,
+        originalUrl: image.url,
+        ...exportSettings
+      });
+      downloadBlob(blob, getExportFilename(image.name, exportSettings.format));
+    } catch (error) {
+      console.error(`Failed to download image ${image.name}:`, error);
     }
-  }, [selectedImage, uploadedImages]);
+  }, [background, shadow, outline, crop, exportSettings]);
+
+  const handleExportAll = useCallback(async () => {
+    const processedImages = uploadedImages.filter(img => img.processedUrl);
+    if (processedImages.length === 0 || exportProgress) {
+      return;
+    }
+
+    const archiveName = 'images_no_bg.zip';
+    setExportProgress({ current: 0, total: processedImages.length });
+
+    let sink = null;
+    try {
+      // Stream to disk when the browser allows it, otherwise collect the archive as a Blob
+      const fileSink = await createFileSink(archiveName);
+      sink = fileSink || createBlobSink();
+      const zip = new ZipWriter(sink);
+      const usedNames = new Set();
+
+      // Encode one image at a time so only a single file is held in memory
+      for (const image of processedImages) {
+        const blob = await exportImage(image.processedUrl, {
+          ...getImageExportSettings(image, { background, crop }),
+          shadow,
+          outline,
+          originalUrl: image.url,
+          ...exportSettings
+        });
+        const entryName = getUniqueEntryName(getExportFilename(image.name, exportSettings.format), usedNames);
+        await zip.add(entryName, blob);
+
+        setExportProgress(prev => ({
+          current: prev.current + 1,
+          total: prev.total
+        }));
+      }
+
+      await zip.close();
+      if (!fileSink) {
+        downloadBlob(sink.getBlob(), archiveName);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('ZIP export error:', error);
+      }
+      await sink?.abort().catch(abortError => console.error('Failed to discard the partial ZIP:', abortError));
+    } finally {
+      setExportProgress(null);
+    }
+  }, [uploadedImages, exportProgress, background, shadow, outline, crop, exportSettings]);
 
   const handleProcessImage = useCallback(async () => {
     if (selectedImage && ready && !selectedImage.processed) {
       try {
-        await processImage(selectedImage.url, selectedImage.id);
+        await processImage(getImageSource(selectedImage), selectedImage.id, selectedImage.maskSettings);
       } catch (error) {
         console.error('Failed to process image:', error);
       }
     }
   }, [selectedImage, ready, processImage]);
 
+  const handleReprocessImage = useCallback(async () => {
+    if (selectedImage && ready) {
+      try {
+        await processImage(getImageSource(selectedImage), selectedImage.id, selectedImage.maskSettings);
+      } catch (error) {
+        console.error('Failed to reprocess image:', error);
+      }
+    }
+  }, [selectedImage, ready, processImage]);
+
+  // Rebuild the cutout from a base mask and post-processing settings without running the model
+  const refineImage = useCallback(async (image, baseMask, maskSettings) => {
+    const request = {};
+    refineRequestsRef.current.set(image.id, request);
+    setRefiningImageId(image.id);
+
+    try {
+      const result = await workerPool.refineImage(getImageSource(image), baseMask, maskSettings, null, {
+        priority: TASK_PRIORITIES.selected,
+        key: image.id,
+        signal: getAbortSignal(image.id)
+      });
+      const maskBlob = await encodeMask(result.output.processedMask);
+      if (refineRequestsRef.current.get(image.id) !== request) {
+        // A newer request for this image has been issued
+        return;
+      }
+
+      const processedUrl = URL.createObjectURL(new Blob([result.output.imageData], { type: 'image/png' }));
+      const maskUrl = URL.createObjectURL(maskBlob);
+      const unmattedUrl = createOptionalPngUrl(result.output.unmattedImageData);
+      const regionPreviewUrl = createOptionalPngUrl(result.output.regionPreview);
+      setUploadedImages(prev => prev.map(img => {
+        if (img.id !== image.id) {
+          return img;
+        }
+        URL.revokeObjectURL(img.processedUrl);
+        URL.revokeObjectURL(img.maskUrl);
+        for (const url of [img.unmattedUrl, img.regionPreviewUrl]) {
+          if (url) {
+            URL.revokeObjectURL(url);
+          }
+        }
+        return { ...img, processedUrl, maskUrl, unmattedUrl, regionPreviewUrl };
+      }));
+    } finally {
+      if (refineRequestsRef.current.get(image.id) === request) {
+        refineRequestsRef.current.delete(image.id);
+        setRefiningImageId(current => (current === image.id ? null : current));
+      }
+    }
+  }, [getAbortSignal]);
+
+  // Apply the mask painted in the editor or built from point prompts; previews and exports use it from now on
+  const handleSaveRefinedMask = useCallback(async (refinedMask) => {
+    if (!selectedImage) {
+      return;
+    }
+
+    try {
+      await refineImage(selectedImage, refinedMask, selectedImage.maskSettings);
+      setUploadedImages(prev => prev.map(img =>
+        img.id === selectedImage.id ? { ...img, refinedMask } : img
+      ));
+      setEditingImageId(null);
+      setSelectingImageId(null);
+    } catch (error) {
+      console.error('Failed to apply refined mask:', error);
+    }
+  }, [selectedImage, refineImage]);
+
+  // Segment the selected image from the subject selector's point prompts
+  const handleSegment = useCallback((points) => {
+    return workerPool.segmentImage(getImageSource(selectedImage), points, setProgress, {
+      priority: TASK_PRIORITIES.selected,
+      key: selectedImage.id,
+      signal: getAbortSignal(selectedImage.id)
+    });
+  }, [selectedImage, getAbortSignal]);
+
+  // Store the settings on the image right away and re-run post-processing once the sliders settle
+  const handleMaskSettingsChange = useCallback((maskSettings) => {
+    if (!selectedImage?.processedResult) {
+      return;
+    }
+
+    const image = selectedImage;
+    setUploadedImages(prev => prev.map(img =>
+      img.id === image.id ? { ...img, maskSettings } : img
+    ));
+
+    clearTimeout(refineTimerRef.current);
+    refineTimerRef.current = setTimeout(() => {
+      refineImage(image, image.refinedMask ?? image.processedResult.mask, maskSettings)
+        .catch(error => console.error('Failed to apply mask settings:', error));
+    }, 250);
+  }, [selectedImage, refineImage]);
+
+  // Give the image its own crop and background that satisfy the rules; other images keep the shared settings.
+  // Sources too small to comply without upscaling are left as they are and flagged on their report.
+  const handleFixCompliance = useCallback(async (image, event) => {
+    event.stopPropagation();
+    if (!rules || !image.processedUrl) {
+      return;
+    }
+
+    try {
+      const fix = await getComplianceFix(
+        rules,
+        { ...getImageExportSettings(image, { background, crop }), format: exportSettings.format },
+        (fixedCrop) => getExportLayout(image.processedUrl, { outline, crop: fixedCrop })
+      );
+
+      if (fix.report.status !== 'pass') {
+        const problems = fix.report.checks.filter(check => check.status !== 'pass').map(check => check.detail);
+        setUploadedImages(prev => prev.map(img =>
+          img.id === image.id && img.compliance
+            ? { ...img, compliance: { ...img.compliance, fixError: `Cannot be fixed without upscaling. ${problems.join('. ')}` } }
+            : img
+        ));
+        return;
+      }
+
+      setUploadedImages(prev => prev.map(img =>
+        img.id === image.id ? { ...img, crop: fix.crop, background: fix.background } : img
+      ));
+    } catch (error) {
+      console.error(`Failed to fix ${image.name}:`, error);
+    }
+  }, [rules, background, crop, outline, exportSettings.format]);
+
+  // Drop the crop and background a compliance fix gave an image, returning it to the shared settings
+  const handleResetImageSettings = useCallback((image, event) => {
+    event.stopPropagation();
+    setUploadedImages(prev => prev.map(img =>
+      img.id === image.id ? { ...img, crop: undefined, background: undefined } : img
+    ));
+  }, []);
+
+  // Settings edits go to the selected image's own crop or background when it has one
+  const handleCropChange = useCallback((nextCrop) => {
+    if (selectedImage?.crop) {
+      setUploadedImages(prev => prev.map(img => (img.id === selectedImage.id ? { ...img, crop: nextCrop } : img)));
+    } else {
+      setCrop(nextCrop);
+    }
+  }, [selectedImage]);
+
+  const handleBackgroundChange = useCallback((nextBackground) => {
+    if (selectedImage?.background) {
+      setUploadedImages(prev => prev.map(img => (img.id === selectedImage.id ? { ...img, background: nextBackground } : img)));
+    } else {
+      setBackground(nextBackground);
+    }
+  }, [selectedImage]);
+
+  const handleModelChange = useCallback((event) => {
+    workerPool.setModel(event.target.value);
+    setModelId(event.target.value);
+  }, []);
+
+  const handlePrecisionChange = useCallback((event) => {
+    // Restarts the workers, so the ready state and download progress update through polling
+    workerPool.setPrecision(event.target.value);
+    setWorkerPoolStats(workerPool.getStats());
+  }, []);
+
+  const handleExecutionModeChange = useCallback((event) => {
+    // Replaces the workers; readiness and model download progress update through polling like a precision change
+    workerPool.setExecutionMode(event.target.value);
+    setWorkerPoolStats(workerPool.getStats());
+  }, []);
+
   const handleProcessAll = useCallback(async () => {
     if (uploadedImages.length > 0 && ready && !batchProcessing) {
       const unprocessedImages = uploadedImages.filter(img => !img.processed);
@@ -181,7 +619,8 @@ export default function Home() {
         // Process all images concurrently
         const processingPromises = unprocessedImages.map(async (image, index) => {
           try {
-            await processImage(image.url, image.id);
+            const priority = image.id === selectedImageId ? TASK_PRIORITIES.selected : TASK_PRIORITIES.background;
+            await processImage(getImageSource(image), image.id, image.maskSettings, priority);
 
             // Update batch progress
             setBatchProgress(prev => ({
@@ -197,6 +636,8 @@ export default function Home() {
         // Wait for all processing to complete
         await Promise.allSettled(processingPromises);
 
+        // Record memory after a full batch so the execution modes can be compared
+        await workerPool.measureMemory();
       } catch (error) {
         console.error('Batch processing error:', error);
       } finally {
@@ -204,7 +645,7 @@ export default function Home() {
         setBatchProgress({ current: 0, total: 0 });
       }
     }
-  }, [uploadedImages, ready, processImage, batchProcessing]);
+  }, [uploadedImages, ready, processImage, batchProcessing, selectedImageId]);
 
   const handleExampleClick = useCallback(() => {
     if (uploadedImages.length > 0) {
@@ -239,7 +680,39 @@ export default function Home() {
   return (
     <main className="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen p-6">
       {/* Model Download Progress Banner */}
-      {initProgress && !ready && (
+      {initProgress?.status === 'error' && !ready && (
+        <div className="max-w-7xl mx-auto mb-6">
+          <Alert variant="destructive">
+            <X className="h-4 w-4" />
+            <AlertTitle>Failed to load AI model</AlertTitle>
+            <AlertDescription className="break-all">{initProgress.message}</AlertDescription>
+          </Alert>
+        </div>
+      )}
+      {/* Worker Pool Health Banner */}
+      {poolHealth && poolHealth.status !== POOL_HEALTH.healthy && initProgress?.status !== 'error' && (
+        <div className="max-w-7xl mx-auto mb-6">
+          <Alert
+            variant={poolHealth.status === POOL_HEALTH.unhealthy ? 'destructive' : 'default'}
+            className={poolHealth.status === POOL_HEALTH.degraded ? 'border-amber-300 bg-amber-50 text-amber-800' : undefined}
+          >
+            <AlertTriangle className="h-4 w-4" />
+            <AlertTitle>
+              {poolHealth.status === POOL_HEALTH.unhealthy ? 'Processing unavailable' : 'Processing degraded'}
+            </AlertTitle>
+            <AlertDescription>
+              <div>
+                {poolHealth.available}/{poolHealth.workers.length} workers available, restarting failed workers automatically.
+                {poolHealth.retriedTasks > 0 && ` ${poolHealth.retriedTasks} tasks retried.`}
+              </div>
+              {poolHealth.lastError && (
+                <div className="text-xs break-all">Last error: {poolHealth.lastError}</div>
+              )}
+            </AlertDescription>
+          </Alert>
+        </div>
+      )}
+      {initProgress && initProgress.status !== 'error' && !ready && (
         <div className="max-w-7xl mx-auto mb-6">
           <Card className="border-primary/50 shadow-lg">
             <CardContent className="p-4">
@@ -338,6 +811,163 @@ export default function Home() {
                   </>
                 )}
               </Button>
+
+              {/* Model Picker */}
+              <div className="flex items-center gap-2">
+                <label htmlFor="model-select" className="text-xs text-muted-foreground whitespace-nowrap">Model:</label>
+                <select
+                  id="model-select"
+                  value={modelId}
+                  onChange={handleModelChange}
+                  disabled={batchProcessing}
+                  className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+                >
+                  {Object.entries(MODEL_REGISTRY).map(([id, model]) => (
+                    <option key={id} value={id}>
+                      {model.label} ({model.description})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Precision Picker (download size shown before anything is fetched) */}
+              {workerPoolStats && (
+                <div className="flex items-center gap-2">
+                  <label htmlFor="precision-select" className="text-xs text-muted-foreground whitespace-nowrap">Precision:</label>
+                  <select
+                    id="precision-select"
+                    value={resolveDtype(modelId, workerPoolStats.dtype)}
+                    onChange={handlePrecisionChange}
+                    disabled={processing || batchProcessing}
+                    className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+                  >
+                    {Object.entries(PRECISIONS).map(([dtype, label]) => {
+                      const size = MODEL_REGISTRY[modelId].dtypes[dtype];
+                      return (
+                        <option key={dtype} value={dtype} disabled={size === undefined}>
+                          {label} {size === undefined ? '(not available)' : `(~${size} MB)`}
+                        </option>
+                      );
+                    })}
+                  </select>
+                </div>
+              )}
+
+              {/* Execution Mode Picker */}
+              {workerPoolStats && (
+                <div className="flex items-center gap-2">
+                  <label htmlFor="mode-select" className="text-xs text-muted-foreground whitespace-nowrap">Execution:</label>
+                  <select
+                    id="mode-select"
+                    value={workerPoolStats.executionMode}
+                    onChange={handleExecutionModeChange}
+                    disabled={processing || batchProcessing}
+                    title={EXECUTION_MODES[workerPoolStats.executionMode].description}
+                    className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+                  >
+                    {Object.entries(EXECUTION_MODES).map(([id, mode]) => (
+                      <option key={id} value={id}>{mode.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Throughput and memory of each execution mode, once it has processed images */}
+              {poolMetrics && Object.values(poolMetrics).some(metrics => metrics.completed > 0) && (
+                <table className="w-full text-[10px] text-muted-foreground">
+                  <thead>
+                    <tr>
+                      <th className="text-left font-medium">Mode</th>
+                      <th className="text-right font-medium">Img/min</th>
+                      <th className="text-right font-medium">Latency</th>
+                      <th className="text-right font-medium">Batch</th>
+                      <th className="text-right font-medium">Memory</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(poolMetrics).map(([id, metrics]) => (
+                      <tr key={id} className={id === workerPoolStats?.executionMode ? 'text-foreground' : undefined}>
+                        <td>{EXECUTION_MODES[id].label}</td>
+                        <td className="text-right">{metrics.imagesPerMinute?.toFixed(1) ?? '—'}</td>
+                        <td className="text-right">
+                          {metrics.averageLatency !== null ? `${(metrics.averageLatency / 1000).toFixed(1)} s` : '—'}
+                        </td>
+                        <td className="text-right">{metrics.averageBatchSize?.toFixed(1) ?? '—'}</td>
+                        <td
+                          className="text-right"
+                          title={metrics.modelCopies !== null ? `${metrics.modelCopies} model copies loaded` : undefined}
+                        >
+                          {metrics.memory !== null && formatBytes(metrics.memory)}
+                          {metrics.memory === null && (metrics.modelMB !== null ? `~${metrics.modelMB} MB` : '—')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {/* Marketplace Rules */}
+              <div className="flex items-center gap-2">
+                <label htmlFor="rules-select" className="text-xs text-muted-foreground whitespace-nowrap">Marketplace:</label>
+                <select
+                  id="rules-select"
+                  value={ruleSetId ?? ''}
+                  onChange={(e) => setRuleSetId(e.target.value || null)}
+                  className="flex-1 px-2 py-1 text-xs border border-border rounded bg-background"
+                >
+                  <option value="">Off</option>
+                  {Object.entries(RULE_SETS).map(([id, ruleSet]) => (
+                    <option key={id} value={id}>{ruleSet.label}</option>
+                  ))}
+                </select>
+              </div>
+              {ruleSetId === 'custom' && (
+                <div className="grid grid-cols-2 gap-2 text-xs">
+                  <label className="flex items-center gap-1 text-muted-foreground">
+                    Fill %
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={customRules.targetFill ? Math.round(customRules.targetFill * 100) : ''}
+                      placeholder="Off"
+                      onChange={(e) => setCustomRules(prev => ({ ...prev, targetFill: (parseFloat(e.target.value) || 0) / 100 || null }))}
+                      className="w-full px-2 py-1 border border-border rounded bg-background"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1 text-muted-foreground">
+                    Min px
+                    <input
+                      type="number"
+                      min="0"
+                      value={customRules.minWidth}
+                      onChange={(e) => {
+                        const size = Math.max(0, parseInt(e.target.value, 10) || 0);
+                        setCustomRules(prev => ({ ...prev, minWidth: size, minHeight: size }));
+                      }}
+                      className="w-full px-2 py-1 border border-border rounded bg-background"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1 text-muted-foreground">
+                    <input
+                      type="checkbox"
+                      checked={customRules.whiteBackground}
+                      onChange={(e) => setCustomRules(prev => ({ ...prev, whiteBackground: e.target.checked }))}
+                      className="accent-primary"
+                    />
+                    White background
+                  </label>
+                  <select
+                    value={customRules.square ?? ''}
+                    onChange={(e) => setCustomRules(prev => ({ ...prev, square: e.target.value || null }))}
+                    className="px-2 py-1 border border-border rounded bg-background"
+                  >
+                    <option value="">Any shape</option>
+                    <option value="recommended">Square recommended</option>
+                    <option value="required">Square required</option>
+                  </select>
+                </div>
+              )}
             </div>
 
             {/* Thumbnail Section */}
@@ -345,9 +975,28 @@ export default function Home() {
               <div className="mt-6 flex-1 flex flex-col min-h-0">
                 <div className="flex items-center justify-between mb-3">
                   <h3 className="text-sm font-semibold">Images</h3>
-                  <Badge variant="secondary" className="text-xs">
-                    {uploadedImages.length}
-                  </Badge>
+                  <div className="flex items-center gap-2">
+                    {uploadedImages.some(img => img.processed) && (
+                      <Button
+                        onClick={handleExportAll}
+                        disabled={!!exportProgress || batchProcessing}
+                        variant="outline"
+                        size="sm"
+                        className="h-6 text-xs"
+                        title="Download all processed images as a ZIP archive"
+                      >
+                        {exportProgress ? (
+                          <Loader2 className="h-3 w-3 animate-spin" />
+                        ) : (
+                          <Archive className="h-3 w-3" />
+                        )}
+                        Export all
+                      </Button>
+                    )}
+                    <Badge variant="secondary" className="text-xs">
+                      {uploadedImages.length}
+                    </Badge>
+                  </div>
                 </div>
                 <div className="flex-1 overflow-y-auto p-1 pr-2 min-h-0">
                   <div className="flex flex-col gap-2">
@@ -363,7 +1012,7 @@ export default function Home() {
                       >
                         <div className="relative h-32 overflow-hidden rounded-t-lg bg-muted flex items-center justify-center">
                           <img
-                            src={image.url}
+                            src={image.thumbnailUrl ?? image.url}
                             alt={image.name}
                             className="w-full h-full object-contain transition-transform group-hover:scale-105"
                           />
@@ -383,6 +1032,17 @@ export default function Home() {
                           >
                             <X className="h-3 w-3" />
                           </Button>
+                          {image.processed && (
+                            <Button
+                              onClick={(e) => handleDownloadImage(image, e)}
+                              variant="secondary"
+                              size="icon-sm"
+                              title="Download with current background and format"
+                              className="absolute top-1.5 left-1.5 h-6 w-6 rounded-full opacity-0 group-hover:opacity-100 transition-opacity shadow-md"
+                            >
+                              <Download className="h-3 w-3" />
+                            </Button>
+                          )}
                         </div>
                         <CardContent className="p-1.5">
                           <div className="flex items-start justify-between gap-1">
@@ -402,6 +1062,49 @@ export default function Home() {
                               Processed
                             </Badge>
                           )}
+                          {rules && image.compliance && (
+                            <div className="mt-1 flex flex-wrap items-center gap-0.5">
+                              {image.compliance.checks.map((check) => (
+                                <Badge
+                                  key={check.id}
+                                  variant="outline"
+                                  title={check.detail}
+                                  className={`text-[9px] px-1 py-0 ${COMPLIANCE_BADGE_STYLES[check.status]}`}
+                                >
+                                  {check.label}
+                                </Badge>
+                              ))}
+                              {image.compliance.status !== 'pass' && !image.compliance.fixError && (
+                                <Button
+                                  onClick={(e) => handleFixCompliance(image, e)}
+                                  variant="ghost"
+                                  size="sm"
+                                  title="Give this image a crop and background that comply"
+                                  className="h-4 px-1 text-[9px]"
+                                >
+                                  <Wrench className="h-2.5 w-2.5" />
+                                  Fix
+                                </Button>
+                              )}
+                              {(image.crop || image.background) && (
+                                <Button
+                                  onClick={(e) => handleResetImageSettings(image, e)}
+                                  variant="ghost"
+                                  size="sm"
+                                  title="Use the shared crop and background again"
+                                  className="h-4 px-1 text-[9px]"
+                                >
+                                  <Undo2 className="h-2.5 w-2.5" />
+                                  Reset
+                                </Button>
+                              )}
+                              {image.compliance.fixError && (
+                                <p className="w-full text-[9px] leading-tight text-red-700 dark:text-red-400">
+                                  {image.compliance.fixError}
+                                </p>
+                              )}
+                            </div>
+                          )}
                         </CardContent>
                       </Card>
                     ))}
@@ -431,6 +1134,27 @@ export default function Home() {
               </div>
             )}
 
+            {/* ZIP Export Progress */}
+            {exportProgress && exportProgress.total > 0 && (
+              <div className="mt-6">
+                <Alert>
+                  <Archive className="h-4 w-4" />
+                  <AlertTitle className="flex items-center justify-between">
+                    Exporting ZIP
+                    <span className="text-xs font-normal">
+                      {exportProgress.current} / {exportProgress.total}
+                    </span>
+                  </AlertTitle>
+                  <AlertDescription>
+                    <Progress
+                      value={Math.round((exportProgress.current / exportProgress.total) * 100)}
+                      className="mt-2"
+                    />
+                  </AlertDescription>
+                </Alert>
+              </div>
+            )}
+
             {/* Model Status */}
             {ready !== null && (
               <div className="mt-6 space-y-3">
@@ -481,6 +1205,12 @@ export default function Home() {
                             <div>Workers: {workerPoolStats.readyWorkers}/{workerPoolStats.totalWorkers} ready</div>
                             <div>Active: {workerPoolStats.activeTasks} tasks</div>
                             <div>Queued: {workerPoolStats.queuedTasks} tasks</div>
+                            {poolHealth && (
+                              <div>
+                                Health: {poolHealth.status}
+                                {poolHealth.restarts > 0 && `, ${poolHealth.restarts} restarts`}
+                              </div>
+                            )}
                           </div>
                         </AlertDescription>
                       </Alert>
@@ -500,13 +1230,67 @@ export default function Home() {
                 <div className="relative w-full">
                   {/* Always show ImageSlider when processed image is available */}
                   {selectedImage?.processedUrl ? (
-                    <ImageSlider
-                      originalImage={selectedImage.url}
-                      processedImage={selectedImage.processedUrl}
-                      imageName={selectedImage.name}
-                      backgroundColor={backgroundColor}
-                      onBackgroundColorChange={setBackgroundColor}
-                    />
+                    <>
+                      {/* Offer to rerun the image when a different model is selected */}
+                      {selectedImage.processedResult?.modelId !== modelId && (
+                        <Button
+                          onClick={handleReprocessImage}
+                          disabled={!ready || processing}
+                          variant="outline"
+                          className="w-full mb-4"
+                        >
+                          {processing ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : (
+                            <Sparkles className="mr-2 h-4 w-4" />
+                          )}
+                          Reprocess with {MODEL_REGISTRY[modelId].label}
+                        </Button>
+                      )}
+                      {editingImageId === selectedImage.id ? (
+                        <MaskEditor
+                          originalImage={selectedImage.url}
+                          mask={selectedImage.refinedMask ?? selectedImage.processedResult.mask}
+                          onSave={handleSaveRefinedMask}
+                          onCancel={() => setEditingImageId(null)}
+                        />
+                      ) : selectingImageId === selectedImage.id ? (
+                        <SubjectSelector
+                          originalImage={selectedImage.url}
+                          mask={selectedImage.refinedMask ?? selectedImage.processedResult.mask}
+                          onSegment={handleSegment}
+                          onSave={handleSaveRefinedMask}
+                          onCancel={() => setSelectingImageId(null)}
+                        />
+                      ) : (
+                        <ImageSlider
+                          originalImage={selectedImage.url}
+                          processedImage={selectedImage.processedUrl}
+                          maskImage={selectedImage.maskUrl}
+                          rawMask={selectedImage.processedResult?.mask}
+                          unmattedImage={selectedImage.unmattedUrl}
+                          regionPreview={selectedImage.regionPreviewUrl}
+                          imageName={selectedImage.name}
+                          background={selectedImage.background ?? background}
+                          onBackgroundChange={handleBackgroundChange}
+                          backgroundImages={backgroundImages}
+                          onBackgroundImageUpload={handleBackgroundImageUpload}
+                          shadow={shadow}
+                          onShadowChange={setShadow}
+                          outline={outline}
+                          onOutlineChange={setOutline}
+                          crop={selectedImage.crop ?? crop}
+                          onCropChange={handleCropChange}
+                          exportSettings={exportSettings}
+                          onExportSettingsChange={setExportSettings}
+                          onEditMask={() => setEditingImageId(selectedImage.id)}
+                          onSelectSubject={() => setSelectingImageId(selectedImage.id)}
+                          maskSettings={selectedImage.maskSettings ?? DEFAULT_MASK_SETTINGS}
+                          onMaskSettingsChange={handleMaskSettingsChange}
+                          refining={refiningImageId === selectedImage.id}
+                        />
+                      )}
+                    </>
                   ) : (
                     <div className="flex flex-col items-center">
                       {/* Original Image */}
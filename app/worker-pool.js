@@ -1,230 +1,1038 @@
-// Worker Pool for concurrent image processing
-class WorkerPool {
-  constructor(maxWorkers = 2) {
+import { DEFAULT_MODEL_ID, DEFAULT_DTYPE, PRECISIONS, getModel, resolveDtype } from './models.js';
+import {
+  ERROR_CODES,
+  REQUEST_TYPES,
+  RESPONSE_TYPES,
+  WorkerTaskError,
+  createMessage,
+  createRequestId,
+  validateMessage
+} from './worker-protocol.js';
+
+const DTYPE_STORAGE_KEY = 'remove-background:dtype';
+const MODE_STORAGE_KEY = 'remove-background:execution-mode';
+
+// How work is spread over the workers
+export const EXECUTION_MODES = {
+  perWorker: {
+    label: 'Model per worker',
+    description: 'Every worker loads its own model copy and runs whole images'
+  },
+  shared: {
+    label: 'Shared model',
+    description: 'One worker holds the model and runs batched inference; helpers decode and composite'
+  }
+};
+
+// Largest number of images stacked into one inference run in the shared mode
+const MAX_BATCH_SIZE = 4;
+
+// Higher priorities are dequeued first; equal priorities keep their submission order
+export const TASK_PRIORITIES = {
+  background: 0,
+  normal: 1,
+  selected: 2
+};
+
+// How long a worker may keep running a cancelled task before it is recycled
+const ABANDONED_TASK_GRACE_MS = 10000;
+
+// How long a task may go without a response before its worker is treated as hung.
+// Progress resets the timer, so a slow model download does not count against the task,
+// and the worker reports each post-processing step so only one step has to fit in the timeout.
+const DEFAULT_TASK_TIMEOUTS = {
+  process: 120000,
+  refine: 30000,
+  infer: 60000, // Per image in the batch
+  segment: 60000
+};
+
+// Attempts per task, including the first, before a crash or timeout rejects it;
+// also the attempts a worker slot gets to load its model before the tasks needing it are rejected
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Workers are pinged at this interval and recycled when a ping stays unanswered for the timeout;
+// this catches an idle or loading worker whose thread is blocked. A worker running a task is left to
+// the task's watchdog, as a single post-processing step on a large image can block it for longer.
+const HEARTBEAT_INTERVAL_MS = 5000;
+const HEARTBEAT_TIMEOUT_MS = 30000;
+
+// Delay before replacing a failed worker, doubled for each consecutive failure of the same slot
+const RESTART_DELAY_MS = 1000;
+const MAX_RESTART_DELAY_MS = 30000;
+
+export const POOL_HEALTH = {
+  healthy: 'healthy', // Every worker is starting, ready or busy
+  degraded: 'degraded', // Some workers are restarting or failed to load the model
+  unhealthy: 'unhealthy' // No worker can take tasks
+};
+
+function createAbortError() {
+  return new DOMException('Task was cancelled', 'AbortError');
+}
+
+function createModuleWorker() {
+  return new Worker(new URL('./worker.js', import.meta.url), {
+    type: 'module'
+  });
+}
+
+function readStoredSetting(key, options) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored && options[stored] ? stored : null;
+  } catch {
+    // Storage can be unavailable (private mode, disabled cookies)
+    return null;
+  }
+}
+
+function storeSetting(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Not persisted, but the pool still switches for this session
+  }
+}
+
+// Throughput and latency of finished images, kept per execution mode so the modes can be compared
+function createMetrics() {
+  return {
+    completed: 0,
+    totalLatency: 0,
+    batches: 0,
+    batchedImages: 0,
+    firstStart: null,
+    lastFinish: null,
+    memory: null
+  };
+}
+
+function isImageBitmap(value) {
+  return typeof ImageBitmap !== 'undefined' && value instanceof ImageBitmap;
+}
+
+function sameDims(a, b) {
+  return a.length === b.length && a.every((size, i) => size === b[i]);
+}
+
+// Worker Pool for concurrent image processing.
+// `createWorker` builds each worker, so the pool can be driven by a stand-in that speaks worker-protocol.
+export class WorkerPool {
+  constructor(maxWorkers = 2, createWorker = createModuleWorker) {
     this.maxWorkers = Math.min(maxWorkers, navigator.hardwareConcurrency || 4);
+    this.createWorker = createWorker;
     this.workers = [];
     this.taskQueue = [];
-    this.activeTasks = new Map();
+    this.inferenceQueue = []; // Preprocessed tasks waiting for the shared model
+    this.activeTasks = new Map(); // Running tasks and inference batches by request id
     this.readyWorkers = new Set();
     this.isInitializing = false;
     this.onInitProgress = null; // Global progress callback for initialization
+    this.healthListeners = new Set();
+    this.lastHealthKey = null;
+    this.heartbeatTimer = null;
+    this.slotFailures = []; // Consecutive failures per worker slot, for the restart backoff
+    this.restarts = 0;
+    this.retriedTasks = 0;
+    this.failedTasks = 0;
+    this.lastError = null;
+    this.modelId = DEFAULT_MODEL_ID; // Model used for newly queued tasks
+    this.dtype = DEFAULT_DTYPE; // Requested precision, resolved per model by the worker
+    this.executionMode = 'perWorker';
+    this.segmentWorkers = new Map(); // Image key to the worker slot holding its segmentation embeddings
+    this.metrics = Object.fromEntries(Object.keys(EXECUTION_MODES).map(mode => [mode, createMetrics()]));
 
     console.log(`WorkerPool initialized with ${this.maxWorkers} workers`);
   }
 
   async initialize(onInitProgress = null) {
-    if (this.isInitializing) {
+    this.onInitProgress = onInitProgress;
+    if (this.isInitializing || this.workers.length > 0) {
       return;
     }
 
     this.isInitializing = true;
-    this.onInitProgress = onInitProgress;
-    console.log('Initializing worker pool...');
+    this.dtype = readStoredSetting(DTYPE_STORAGE_KEY, PRECISIONS) ?? this.dtype;
+    this.executionMode = readStoredSetting(MODE_STORAGE_KEY, EXECUTION_MODES) ?? this.executionMode;
+    console.log(`Initializing worker pool (${this.executionMode})...`);
 
-    // Create workers
-    for (let i = 0; i < this.maxWorkers; i++) {
-      const worker = new Worker(new URL('./worker.js', import.meta.url), {
-        type: 'module'
-      });
+    this.spawnWorkers();
 
-      worker.id = i;
-      worker.busy = false;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+    this.isInitializing = false;
+    this.emitHealth();
+  }
 
-      worker.addEventListener('message', (e) => {
-        this.handleWorkerMessage(worker, e);
-      });
+  // Per-worker mode runs `maxWorkers` full workers; the shared mode runs as many helpers plus one inference worker
+  spawnWorkers() {
+    const shared = this.executionMode === 'shared';
+    for (let i = 0; i < this.maxWorkers; i++) {
+      this.workers.push(this.spawnWorker(i, shared ? 'helper' : 'full'));
+    }
+    if (shared) {
+      this.workers.push(this.spawnWorker(this.maxWorkers, 'inference'));
+    }
+  }
 
-      worker.addEventListener('error', (error) => {
-        console.error(`Worker ${worker.id} error:`, error);
-        this.handleWorkerError(worker, error);
-      });
+  // Create worker `id` and ask it to load the current model unless it is a helper.
+  // `role` is 'full', 'helper' or 'inference' (see EXECUTION_MODES).
+  // `state` is one of 'starting', 'ready', 'busy', 'failed' (model did not load) or 'restarting'.
+  spawnWorker(id, role) {
+    const worker = this.createWorker();
 
-      this.workers.push(worker);
+    worker.id = id;
+    worker.role = role;
+    worker.state = 'starting';
+    worker.lastSeen = Date.now();
+    worker.pingSentAt = null;
+    worker.taskId = null; // Request the worker is running for a task
+    worker.abandonedTaskId = null; // Cancelled request whose result is still pending
+    worker.initError = null; // Error of the last failed init, kept for rejecting tasks once retries run out
 
-      // Initialize worker
-      worker.postMessage({ type: 'init' });
-    }
+    worker.addEventListener('message', (e) => {
+      this.handleWorkerMessage(worker, e);
+    });
 
-    this.isInitializing = false;
+    worker.addEventListener('error', (error) => {
+      console.error(`Worker ${worker.id} error:`, error);
+      this.recoverWorker(worker, new WorkerTaskError({
+        code: ERROR_CODES.worker,
+        stage: 'worker',
+        message: error.message || `Worker ${worker.id} crashed`
+      }));
+    });
+
+    // Initialize worker; its progress is reported separately from task progress
+    worker.initId = createRequestId('init');
+    worker.postMessage(createMessage(REQUEST_TYPES.init, worker.initId, { modelId: this.modelId, dtype: this.dtype, role }));
+    return worker;
   }
 
+  // Route a response to the request it answers; responses for unknown ids are dropped
   handleWorkerMessage(worker, event) {
-    const data = event.data;
-    const taskId = this.findTaskIdByWorker(worker);
+    const message = event.data;
+    worker.lastSeen = Date.now();
 
-    switch (data.status) {
-      case 'ready':
-        console.log(`Worker ${worker.id} is ready`);
-        this.readyWorkers.add(worker);
-        this.processQueue();
-        break;
+    const problem = validateMessage(message, RESPONSE_TYPES);
+    if (problem) {
+      console.error(`Worker ${worker.id} sent an invalid message:`, problem, message);
+      if (message?.id && message.id === worker.taskId) {
+        // Fail the task rather than leave it waiting for a response that will not arrive
+        this.finishTask(worker, { type: RESPONSE_TYPES.error, error: { code: ERROR_CODES.protocol, stage: 'protocol', message: problem } });
+      }
+      return;
+    }
+
+    const settles = message.type === RESPONSE_TYPES.complete || message.type === RESPONSE_TYPES.error;
+
+    if (message.type === RESPONSE_TYPES.pong) {
+      // Only the liveness recorded above matters
+      return;
+    }
 
-      case 'complete':
-      case 'error':
-        // Task completed, mark worker as available
-        worker.busy = false;
-        this.readyWorkers.add(worker);
-
-        // Get task info and resolve/reject
-        if (taskId && this.activeTasks.has(taskId)) {
-          const task = this.activeTasks.get(taskId);
-          this.activeTasks.delete(taskId);
-
-          if (data.status === 'complete') {
-            task.resolve(data);
-          } else {
-            task.reject(new Error(data.error));
+    if (message.id === worker.initId) {
+      this.handleInitMessage(worker, message);
+    } else if (message.id === worker.taskId) {
+      if (settles) {
+        this.finishTask(worker, message);
+      } else if (message.type === RESPONSE_TYPES.progress) {
+        const entry = this.activeTasks.get(message.id);
+        this.armTaskTimer(entry);
+        for (const task of entry.tasks ?? [entry]) {
+          if (task?.onProgress) {
+            task.onProgress(message.payload);
           }
         }
+      }
+    } else if (message.id === worker.abandonedTaskId) {
+      // Result of a cancelled task: drop it and hand the worker back to the pool
+      if (settles) {
+        clearTimeout(worker.abandonTimer);
+        worker.abandonedTaskId = null;
+        this.releaseWorker(worker);
+        this.emitHealth();
+      }
+    } else {
+      console.warn(`Worker ${worker.id} sent ${message.type} for unknown request ${message.id}`);
+    }
+  }
 
-        this.processQueue();
+  handleInitMessage(worker, message) {
+    switch (message.type) {
+      case RESPONSE_TYPES.ready:
+        console.log(`Worker ${worker.id} is ready`);
+        worker.initId = null;
+        this.slotFailures[worker.id] = 0;
+        this.releaseWorker(worker);
+        this.emitHealth();
         break;
 
-      default:
-        // Forward progress and other messages
-        // If no active task, this is likely initialization progress
-        if (taskId && this.activeTasks.has(taskId)) {
-          const task = this.activeTasks.get(taskId);
-          if (task.onProgress) {
-            task.onProgress(data);
+      case RESPONSE_TYPES.error:
+        console.error(`Worker ${worker.id} failed to initialize:`, message.error);
+        worker.initId = null;
+        worker.initError = message.error;
+        this.lastError = message.error.message;
+
+        // Retry with the crash backoff, as the failure may be transient (e.g. a dropped download);
+        // once the slot has used its attempts, fail the tasks that no other worker can run
+        if ((this.slotFailures[worker.id] ?? 0) + 1 < DEFAULT_MAX_ATTEMPTS) {
+          worker.state = 'restarting';
+          worker.terminate();
+          this.scheduleRestart(worker);
+        } else {
+          worker.state = 'failed';
+          if (this.onInitProgress) {
+            this.onInitProgress({ status: 'error', ...message.error });
           }
-        } else if (this.onInitProgress && (data.status === 'progress' || data.status === 'initiate')) {
-          // Forward initialization progress to global callback
-          this.onInitProgress(data);
+          this.rejectUnrunnableTasks();
+        }
+        this.emitHealth();
+        break;
+
+      case RESPONSE_TYPES.progress:
+        if (this.onInitProgress) {
+          this.onInitProgress(message.payload);
         }
         break;
     }
   }
 
-  handleWorkerError(worker, error) {
-    worker.busy = false;
-    this.readyWorkers.delete(worker);
+  // Mark a worker idle and give it the next piece of work its role can take
+  releaseWorker(worker) {
+    worker.state = 'ready';
+    if (worker.role === 'inference') {
+      this.processInferenceQueue();
+    } else {
+      this.readyWorkers.add(worker);
+      this.processQueue();
+    }
+  }
+
+  // Detach the task or inference batch `worker` is running; returns the tasks it held.
+  // Members of a batch cancelled while it ran are left as null so the rest line up with the batch results.
+  takeTasks(worker) {
+    const entry = this.activeTasks.get(worker.taskId);
+    worker.taskId = null;
+    if (!entry) {
+      return [];
+    }
 
-    // Reject all active tasks for this worker
-    for (const [taskId, task] of this.activeTasks.entries()) {
-      if (this.findTaskIdByWorker(worker) === taskId) {
-        task.reject(error);
-        this.activeTasks.delete(taskId);
+    this.activeTasks.delete(entry.id);
+    clearTimeout(entry.timer);
+    return entry.tasks ?? [entry];
+  }
+
+  // Settle the task `worker` is running with a complete or error response and free the worker
+  finishTask(worker, message) {
+    const tasks = this.takeTasks(worker);
+    const complete = message.type === RESPONSE_TYPES.complete;
+
+    for (const [index, task] of tasks.entries()) {
+      if (!task) {
+        continue;
+      }
+      task.worker = null;
+      task.batch = null;
+
+      // Errors reported by the worker are deterministic (bad image, failed inference), so they are not retried
+      if (!complete) {
+        this.failedTasks += 1;
+        task.reject(new WorkerTaskError(message.error));
+      } else if (task.step === 'preprocess') {
+        task.pixelValues = message.payload.pixelValues;
+        this.insertTask(task, this.inferenceQueue);
+      } else if (task.step === 'infer') {
+        const { modelId, dtype, masks } = message.payload;
+        task.modelMask = { ...masks[index], modelId, dtype };
+        task.pixelValues = null;
+        this.requeueTask(task);
+      } else {
+        if (task.type === REQUEST_TYPES.process) {
+          this.recordCompletion(task);
+        }
+        task.resolve({ id: task.id, output: message.payload });
       }
     }
 
-    // Try to restart the worker
+    this.releaseWorker(worker);
+    this.processQueue();
+    this.processInferenceQueue();
+    this.emitHealth();
+  }
+
+  // Take a crashed, hung or unresponsive worker out of service, retry its task elsewhere and replace it
+  recoverWorker(worker, error) {
+    if (this.workers[worker.id] !== worker || worker.state === 'restarting') {
+      return;
+    }
+
+    console.warn(`Recovering worker ${worker.id}: ${error.message}`);
+    worker.state = 'restarting';
+    this.readyWorkers.delete(worker);
+    this.forgetSegmentWorker(worker);
+    this.lastError = error.message;
+
+    for (const task of this.takeTasks(worker).filter(Boolean)) {
+      this.retryTask(task, error);
+    }
+
+    // Stop a hung worker right away; replacing it waits for the backoff
+    worker.terminate();
+    this.scheduleRestart(worker);
+
+    this.processQueue();
+    this.emitHealth();
+  }
+
+  // Replace a failed worker after a delay that doubles with each consecutive failure of its slot
+  scheduleRestart(worker) {
+    this.restarts += 1;
+    const failures = (this.slotFailures[worker.id] ?? 0) + 1;
+    this.slotFailures[worker.id] = failures;
+    const delay = Math.min(RESTART_DELAY_MS * 2 ** (failures - 1), MAX_RESTART_DELAY_MS);
     setTimeout(() => {
       this.restartWorker(worker);
-    }, 1000);
+    }, delay);
+  }
+
+  // Whether a worker that can run `task` is still up or starting; false once all of them failed to initialize
+  canRunTask(task) {
+    const usable = (role) => this.workers.some(worker => worker.role === role && worker.state !== 'failed');
+    if (this.workers.length === 0) {
+      return true;
+    }
+    if (this.executionMode === 'shared') {
+      return usable('helper') && (task.type !== REQUEST_TYPES.process || usable('inference'));
+    }
+    return usable('full');
+  }
+
+  createInitError() {
+    const cause = this.workers.find(worker => worker.state === 'failed')?.initError;
+    return new WorkerTaskError({
+      code: ERROR_CODES.init,
+      stage: 'init',
+      message: `Workers failed to initialize after ${DEFAULT_MAX_ATTEMPTS} attempts${cause ? `: ${cause.message}` : ''}`
+    });
+  }
+
+  // Reject queued tasks that would otherwise wait forever for a worker that failed to initialize
+  rejectUnrunnableTasks() {
+    for (const name of ['taskQueue', 'inferenceQueue']) {
+      const unrunnable = this[name].filter(task => !this.canRunTask(task));
+      this[name] = this[name].filter(task => this.canRunTask(task));
+      for (const task of unrunnable) {
+        this.failedTasks += 1;
+        task.reject(this.createInitError());
+      }
+    }
+  }
+
+  // Forget intermediate results so the task starts over; their buffers were transferred to the worker that failed
+  resetTask(task) {
+    task.worker = null;
+    task.batch = null;
+    task.pixelValues = null;
+    task.modelMask = null;
+    task.dtype = this.dtype;
+  }
+
+  // Put a task back in the queue after its worker was replaced on purpose; this does not count as an attempt
+  resubmitTask(task) {
+    this.resetTask(task);
+    if (task.imageTransferred) {
+      task.reject(new WorkerTaskError({
+        code: ERROR_CODES.worker,
+        stage: 'worker',
+        message: 'The worker holding the transferred ImageBitmap was replaced'
+      }));
+      return;
+    }
+    this.requeueTask(task);
+  }
+
+  // Requeue a task whose worker failed, or reject it once it has used all its attempts
+  retryTask(task, error) {
+    this.resetTask(task);
+    task.failures += 1;
+
+    if (task.failures >= task.maxAttempts || task.imageTransferred) {
+      console.error(task.imageTransferred
+        ? `Task ${task.id} cannot be retried: its ImageBitmap was transferred to the failed worker`
+        : `Task ${task.id} failed after ${task.failures} attempts`);
+      this.failedTasks += 1;
+      task.reject(error);
+      return;
+    }
+
+    console.warn(`Retrying task ${task.id} (attempt ${task.failures + 1} of ${task.maxAttempts})`);
+    this.retriedTasks += 1;
+    this.requeueTask(task);
+  }
+
+  // (Re)start the watchdog of a running task or inference batch
+  armTaskTimer(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      console.warn(`Task ${entry.id} timed out on worker ${entry.worker.id}`);
+      this.recoverWorker(entry.worker, new WorkerTaskError({
+        code: ERROR_CODES.watchdog,
+        stage: 'watchdog',
+        message: `Task did not respond within ${entry.timeout / 1000} s`
+      }));
+    }, entry.timeout);
+  }
+
+  // Ping every live worker and recover the ones that left the previous ping unanswered,
+  // unless the watchdog of a task or the grace period of an abandoned task covers them
+  checkHeartbeats() {
+    const now = Date.now();
+    for (const worker of this.workers) {
+      if (worker.state === 'restarting') {
+        continue;
+      }
+
+      const waiting = worker.pingSentAt !== null && worker.lastSeen < worker.pingSentAt;
+      const watched = this.activeTasks.has(worker.taskId) || worker.abandonedTaskId !== null;
+      if (waiting && !watched && now - worker.pingSentAt > HEARTBEAT_TIMEOUT_MS) {
+        this.recoverWorker(worker, new WorkerTaskError({
+          code: ERROR_CODES.heartbeat,
+          stage: 'heartbeat',
+          message: `Worker ${worker.id} stopped responding`
+        }));
+      } else if (!waiting) {
+        // Only one ping is outstanding at a time, so a throttled timer cannot fake a missed heartbeat
+        worker.pingSentAt = now;
+        worker.postMessage(createMessage(REQUEST_TYPES.ping, createRequestId('ping')));
+      }
+    }
+  }
+
+  // Subscribe to health changes; returns a function that unsubscribes
+  onHealthChange(listener) {
+    this.healthListeners.add(listener);
+    return () => this.healthListeners.delete(listener);
+  }
+
+  emitHealth() {
+    const health = this.getHealth();
+    const key = JSON.stringify(health);
+    if (key === this.lastHealthKey) {
+      return;
+    }
+    this.lastHealthKey = key;
+    for (const listener of this.healthListeners) {
+      listener(health);
+    }
+  }
+
+  getHealth() {
+    const states = this.workers.map(worker => worker.state);
+    const available = states.filter(state => state === 'ready' || state === 'busy').length;
+
+    let status = POOL_HEALTH.healthy;
+    if (available === 0 && !states.includes('starting')) {
+      status = POOL_HEALTH.unhealthy;
+    } else if (states.includes('restarting') || states.includes('failed')) {
+      status = POOL_HEALTH.degraded;
+    }
+
+    return {
+      status,
+      workers: this.workers.map(worker => ({ id: worker.id, state: worker.state })),
+      available,
+      restarts: this.restarts,
+      retriedTasks: this.retriedTasks,
+      failedTasks: this.failedTasks,
+      lastError: this.lastError
+    };
   }
 
   restartWorker(worker) {
+    if (this.workers[worker.id] !== worker) {
+      // Already replaced, e.g. by an error and a recycle timer firing for the same worker
+      return;
+    }
+
     console.log(`Restarting worker ${worker.id}`);
+    this.readyWorkers.delete(worker);
+    this.forgetSegmentWorker(worker);
+    clearTimeout(worker.abandonTimer);
+
+    // Requeue the task the worker was running so it is not lost with the worker;
+    // a deliberate restart does not count as a failed attempt
+    for (const task of this.takeTasks(worker).filter(Boolean)) {
+      this.resubmitTask(task);
+    }
+
     worker.terminate();
+    this.workers[worker.id] = this.spawnWorker(worker.id, worker.role);
+    this.emitHealth();
+  }
 
-    const newWorker = new Worker(new URL('./worker.js', import.meta.url), {
-      type: 'module'
-    });
+  // Switch the model used for new tasks; workers load it lazily and keep earlier models cached
+  setModel(modelId) {
+    getModel(modelId); // Throws for unknown models
+    console.log(`Switching model to ${modelId}`);
+    this.modelId = modelId;
 
-    newWorker.id = worker.id;
-    newWorker.busy = false;
+    // Workers that could not load the previous model get another go with this one
+    for (const worker of this.workers.filter(worker => worker.state === 'failed')) {
+      this.slotFailures[worker.id] = 0;
+      this.restartWorker(worker);
+    }
+  }
 
-    newWorker.addEventListener('message', (e) => {
-      this.handleWorkerMessage(newWorker, e);
-    });
+  // Switch precision, remember it, and reload every worker with the new weights
+  setPrecision(dtype) {
+    if (!PRECISIONS[dtype]) {
+      throw new Error(`Unknown precision: ${dtype}`);
+    }
+    if (dtype === this.dtype) {
+      return;
+    }
 
-    newWorker.addEventListener('error', (error) => {
-      this.handleWorkerError(newWorker, error);
-    });
+    console.log(`Switching precision to ${dtype}`);
+    this.dtype = dtype;
+    storeSetting(DTYPE_STORAGE_KEY, dtype);
 
-    this.workers[worker.id] = newWorker;
-    newWorker.postMessage({ type: 'init' });
+    // Queued tasks have not reached the model yet, so they pick up the new precision;
+    // preprocessed inputs waiting for the shared model do not depend on it
+    for (const name of ['taskQueue', 'inferenceQueue']) {
+      for (const task of this[name]) {
+        task.dtype = dtype;
+      }
+    }
+    this.slotFailures = [];
+    for (const worker of [...this.workers]) {
+      this.restartWorker(worker);
+    }
   }
 
-  findTaskIdByWorker(worker) {
-    for (const [taskId, task] of this.activeTasks.entries()) {
-      if (task.worker === worker) {
-        return taskId;
+  // Switch between EXECUTION_MODES, remember it, and replace every worker; running tasks start over in the new mode
+  setExecutionMode(mode) {
+    if (!EXECUTION_MODES[mode]) {
+      throw new Error(`Unknown execution mode: ${mode}`);
+    }
+    if (mode === this.executionMode) {
+      return;
+    }
+
+    console.log(`Switching execution mode to ${mode}`);
+    this.executionMode = mode;
+    storeSetting(MODE_STORAGE_KEY, mode);
+
+    const tasks = [...this.inferenceQueue];
+    this.inferenceQueue = [];
+    for (const worker of this.workers) {
+      clearTimeout(worker.abandonTimer);
+      tasks.push(...this.takeTasks(worker).filter(Boolean));
+      worker.terminate();
+    }
+    for (const task of tasks) {
+      this.resubmitTask(task);
+    }
+
+    this.workers = [];
+    this.readyWorkers.clear();
+    this.slotFailures = [];
+    this.segmentWorkers.clear();
+    this.spawnWorkers();
+    this.emitHealth();
+  }
+
+  // Drop what the pool remembers about `key` (e.g. an image id) once it is gone
+  forgetKey(key) {
+    this.segmentWorkers.delete(key);
+  }
+
+  // The embeddings a worker held are lost with it, so later prompts may go to any worker
+  forgetSegmentWorker(worker) {
+    for (const [key, id] of this.segmentWorkers) {
+      if (id === worker.id) {
+        this.segmentWorkers.delete(key);
       }
     }
-    return null;
   }
 
-  processQueue() {
-    if (this.taskQueue.length === 0 || this.readyWorkers.size === 0) {
+  // Move queued tasks for `key` (e.g. an image id) to a new priority, such as when the user selects the image
+  setPriority(key, priority) {
+    for (const name of ['taskQueue', 'inferenceQueue']) {
+      const matching = this[name].filter(task => task.key === key);
+      this[name] = this[name].filter(task => task.key !== key);
+      for (const task of matching) {
+        task.priority = priority;
+        this.insertTask(task, this[name]);
+      }
+    }
+  }
+
+  cancelTask(task, reason) {
+    for (const queue of [this.taskQueue, this.inferenceQueue]) {
+      const queuedIndex = queue.indexOf(task);
+      if (queuedIndex !== -1) {
+        console.log(`Cancelled queued task ${task.id}`);
+        queue.splice(queuedIndex, 1);
+        task.reject(reason);
+        return;
+      }
+    }
+
+    if (task.batch && this.activeTasks.get(task.batch.id) === task.batch) {
+      // The rest of the batch keeps running; this task's matte is dropped when it arrives
+      console.log(`Dropping task ${task.id} from inference batch ${task.batch.id}`);
+      task.batch.tasks[task.batch.tasks.indexOf(task)] = null;
+      task.batch = null;
+      task.reject(reason);
       return;
     }
 
-    const task = this.taskQueue.shift();
-    const worker = this.getAvailableWorker();
+    if (this.activeTasks.get(task.id) === task) {
+      console.log(`Abandoning running task ${task.id} on worker ${task.worker.id}`);
+      this.activeTasks.delete(task.id);
+      clearTimeout(task.timer);
+      this.abandonWorker(task.worker, task.id);
+      task.reject(reason);
+    }
+  }
+
+  // Inference cannot be interrupted, so let the worker finish and drop its result;
+  // recycle it if it does not report back in time
+  abandonWorker(worker, taskId) {
+    worker.taskId = null;
+    worker.abandonedTaskId = taskId;
+    worker.abandonTimer = setTimeout(() => {
+      console.warn(`Worker ${worker.id} did not finish a cancelled task, recycling it`);
+      this.restartWorker(worker);
+    }, ABANDONED_TASK_GRACE_MS);
+  }
+
+  // Keep a queue ordered by priority, first in first out within a priority
+  insertTask(task, queue = this.taskQueue) {
+    const index = queue.findIndex(queued => queued.priority < task.priority);
+    if (index === -1) {
+      queue.push(task);
+    } else {
+      queue.splice(index, 0, task);
+    }
+  }
 
-    if (worker) {
-      this.executeTask(task, worker);
+  // Put a task that already started back at the front of its priority
+  requeueTask(task) {
+    const index = this.taskQueue.findIndex(queued => queued.priority <= task.priority);
+    if (index === -1) {
+      this.taskQueue.push(task);
     } else {
-      // No available workers, put task back in queue
-      this.taskQueue.unshift(task);
+      this.taskQueue.splice(index, 0, task);
+    }
+  }
+
+  // Hand queued tasks to idle workers; an inference batch can requeue several tasks at once
+  processQueue() {
+    while (this.taskQueue.length > 0 && this.readyWorkers.size > 0) {
+      const task = this.taskQueue.shift();
+      this.executeTask(task, this.getAvailableWorker(task));
     }
   }
 
-  getAvailableWorker() {
+  getAvailableWorker(task = null) {
     if (this.readyWorkers.size === 0) {
       return null;
     }
 
-    // Get the first available worker
-    const worker = this.readyWorkers.values().next().value;
+    // Send prompts on an image back to the worker that already embedded it, when it is idle;
+    // otherwise get the first available worker
+    const preferredId = task?.type === REQUEST_TYPES.segment ? this.segmentWorkers.get(task.key) : undefined;
+    const worker = [...this.readyWorkers].find(candidate => candidate.id === preferredId)
+      ?? this.readyWorkers.values().next().value;
     this.readyWorkers.delete(worker);
     return worker;
   }
 
   executeTask(task, worker) {
-    worker.busy = true;
+    worker.state = 'busy';
+    worker.taskId = task.id;
     task.worker = worker;
+    if (task.type === REQUEST_TYPES.process) {
+      task.startedAt ??= Date.now();
+      this.metrics[this.executionMode].firstStart ??= task.startedAt;
+    }
 
     this.activeTasks.set(task.id, task);
+    this.armTaskTimer(task);
 
-    console.log(`Executing task ${task.id} on worker ${worker.id}`);
-    worker.postMessage({
-      imageUrl: task.imageUrl,
-      taskId: task.id
-    });
+    // Helpers split an image into a preprocess and a composite step around the shared inference worker
+    if (task.type === REQUEST_TYPES.refine || task.type === REQUEST_TYPES.segment) {
+      task.step = task.type;
+    } else if (worker.role === 'helper') {
+      task.step = task.modelMask ? REQUEST_TYPES.composite : REQUEST_TYPES.preprocess;
+    } else {
+      task.step = REQUEST_TYPES.process;
+    }
+
+    // Blobs and Files are cloned by reference, so only ImageBitmaps need transferring; that happens on
+    // the last step that reads the image, since the shared mode's preprocess step is followed by a composite
+    const transfer = [];
+    if (isImageBitmap(task.image) && task.step !== REQUEST_TYPES.preprocess) {
+      transfer.push(task.image);
+      task.imageTransferred = true;
+    }
+
+    console.log(`Executing ${task.step} task ${task.id} on worker ${worker.id}`);
+    switch (task.step) {
+      case REQUEST_TYPES.refine:
+        worker.postMessage(createMessage(REQUEST_TYPES.refine, task.id, {
+          image: task.image,
+          mask: task.mask,
+          maskSettings: task.maskSettings
+        }), transfer);
+        break;
+
+      case REQUEST_TYPES.segment:
+        if (task.key !== null) {
+          this.segmentWorkers.set(task.key, worker.id);
+        }
+        worker.postMessage(createMessage(REQUEST_TYPES.segment, task.id, {
+          image: task.image,
+          key: task.key,
+          points: task.points
+        }), transfer);
+        break;
+
+      case REQUEST_TYPES.preprocess:
+        worker.postMessage(createMessage(REQUEST_TYPES.preprocess, task.id, {
+          image: task.image,
+          modelId: task.modelId
+        }));
+        break;
+
+      case REQUEST_TYPES.composite: {
+        const { modelId, dtype, ...mask } = task.modelMask;
+        worker.postMessage(createMessage(REQUEST_TYPES.composite, task.id, {
+          image: task.image,
+          mask,
+          modelId,
+          dtype,
+          maskSettings: task.maskSettings
+        }), [mask.data.buffer, ...transfer]);
+        break;
+      }
+
+      default:
+        worker.postMessage(createMessage(REQUEST_TYPES.process, task.id, {
+          image: task.image,
+          modelId: task.modelId,
+          dtype: task.dtype,
+          maskSettings: task.maskSettings
+        }), transfer);
+    }
+    this.emitHealth();
   }
 
-  async processImage(imageUrl, onProgress = null) {
+  // Send preprocessed tasks to the idle inference worker, stacking those that share a model, precision and input size
+  processInferenceQueue() {
+    const worker = this.workers.find(candidate => candidate.role === 'inference');
+    if (!worker || worker.state !== 'ready' || this.inferenceQueue.length === 0) {
+      return;
+    }
+
+    const [first] = this.inferenceQueue;
+    const tasks = this.inferenceQueue
+      .filter(task => task.modelId === first.modelId && task.dtype === first.dtype &&
+        sameDims(task.pixelValues.dims, first.pixelValues.dims))
+      .slice(0, MAX_BATCH_SIZE);
+    this.inferenceQueue = this.inferenceQueue.filter(task => !tasks.includes(task));
+
+    const batch = {
+      id: createRequestId('batch'),
+      tasks,
+      worker,
+      timeout: DEFAULT_TASK_TIMEOUTS.infer * tasks.length,
+      timer: null
+    };
+    for (const task of tasks) {
+      task.step = REQUEST_TYPES.infer;
+      task.batch = batch;
+      task.worker = worker;
+    }
+
+    worker.state = 'busy';
+    worker.taskId = batch.id;
+    this.activeTasks.set(batch.id, batch);
+    this.armTaskTimer(batch);
+
+    const metrics = this.metrics[this.executionMode];
+    metrics.batches += 1;
+    metrics.batchedImages += tasks.length;
+
+    console.log(`Executing inference batch ${batch.id} of ${tasks.length} on worker ${worker.id}`);
+    worker.postMessage(createMessage(REQUEST_TYPES.infer, batch.id, {
+      modelId: first.modelId,
+      dtype: first.dtype,
+      inputs: tasks.map(task => task.pixelValues)
+    }), tasks.map(task => task.pixelValues.data.buffer));
+    this.emitHealth();
+  }
+
+  recordCompletion(task) {
+    const metrics = this.metrics[this.executionMode];
+    const now = Date.now();
+    metrics.completed += 1;
+    metrics.totalLatency += now - task.startedAt;
+    metrics.lastFinish = now;
+  }
+
+  // Measure memory of the page and its workers where the browser allows it (cross-origin isolated pages only)
+  async measureMemory() {
+    if (typeof performance.measureUserAgentSpecificMemory !== 'function' || !globalThis.crossOriginIsolated) {
+      return null;
+    }
+    const { bytes } = await performance.measureUserAgentSpecificMemory();
+    this.metrics[this.executionMode].memory = bytes;
+    return bytes;
+  }
+
+  // Throughput, latency and model memory per execution mode.
+  // `modelCopies` counts workers holding a model; `modelMB` estimates their weights from the registry download size.
+  getMetrics() {
+    const modelCopies = this.workers.filter(worker =>
+      worker.role !== 'helper' && (worker.state === 'ready' || worker.state === 'busy')).length;
+    const modelMB = getModel(this.modelId).dtypes[resolveDtype(this.modelId, this.dtype)] ?? null;
+
+    return Object.fromEntries(Object.entries(this.metrics).map(([mode, metrics]) => {
+      const elapsed = metrics.lastFinish - metrics.firstStart;
+      return [mode, {
+        completed: metrics.completed,
+        imagesPerMinute: metrics.completed > 0 && elapsed > 0 ? (metrics.completed / elapsed) * 60000 : null,
+        averageLatency: metrics.completed > 0 ? metrics.totalLatency / metrics.completed : null,
+        averageBatchSize: metrics.batches > 0 ? metrics.batchedImages / metrics.batches : null,
+        modelCopies: mode === this.executionMode ? modelCopies : null,
+        modelMB: mode === this.executionMode && modelMB !== null ? modelCopies * modelMB : null,
+        memory: metrics.memory
+      }];
+    }));
+  }
+
+  // `signal` cancels the task, `priority` is one of TASK_PRIORITIES and `key` groups tasks for setPriority.
+  // `timeout` (ms without a response) and `maxAttempts` override the watchdog and retry defaults.
+  enqueueTask(fields, onProgress, {
+    signal = null,
+    priority = TASK_PRIORITIES.normal,
+    key = null,
+    timeout = DEFAULT_TASK_TIMEOUTS[fields.type],
+    maxAttempts = DEFAULT_MAX_ATTEMPTS
+  } = {}) {
     return new Promise((resolve, reject) => {
-      const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      if (signal?.aborted) {
+        reject(signal.reason ?? createAbortError());
+        return;
+      }
 
       const task = {
-        id: taskId,
-        imageUrl,
-        resolve,
-        reject,
+        id: createRequestId(),
+        ...fields,
+        priority,
+        key,
+        timeout,
+        maxAttempts,
+        failures: 0,
+        timer: null,
         onProgress
       };
 
-      this.taskQueue.push(task);
+      // Stop listening once the task settles so long-lived signals do not retain it
+      const onAbort = () => this.cancelTask(task, signal.reason ?? createAbortError());
+      signal?.addEventListener('abort', onAbort, { once: true });
+      task.resolve = (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      };
+      task.reject = (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+
+      if (!this.canRunTask(task)) {
+        this.failedTasks += 1;
+        task.reject(this.createInitError());
+        return;
+      }
+
+      this.insertTask(task);
       this.processQueue();
     });
   }
 
+  // `image` is a File or Blob, an ImageBitmap or a URL. Blobs and URLs reach the worker without copying the pixels;
+  // an ImageBitmap is transferred, so it is unusable afterwards and the task is not retried once it has been sent.
+  async processImage(image, onProgress = null, { maskSettings = null, ...options } = {}) {
+    return this.enqueueTask({
+      type: REQUEST_TYPES.process,
+      image,
+      modelId: this.modelId,
+      dtype: this.dtype,
+      maskSettings
+    }, onProgress, options);
+  }
+
+  // Re-apply mask post-processing to an existing matte; no inference is run. `image` is as for processImage.
+  async refineImage(image, mask, maskSettings, onProgress = null, options = {}) {
+    return this.enqueueTask({
+      type: REQUEST_TYPES.refine,
+      image,
+      mask,
+      maskSettings
+    }, onProgress, options);
+  }
+
+  // Select a subject with point prompts using the segmenter (see SEGMENTER_MODEL). `points` are { x, y, label }
+  // in image pixels, label 1 for positive and 0 for negative points; the output is { score, mask }.
+  // Pass the same `key` for every prompt on an image so its embeddings are computed once and reused.
+  async segmentImage(image, points, onProgress = null, options = {}) {
+    return this.enqueueTask({
+      type: REQUEST_TYPES.segment,
+      image,
+      points
+    }, onProgress, options);
+  }
+
   getStats() {
+    // In the shared mode idle helpers cannot process anything until the inference worker has the model
+    const inference = this.workers.find(worker => worker.role === 'inference');
+    const modelReady = !inference || inference.state === 'ready' || inference.state === 'busy';
+    const activeTasks = [...this.activeTasks.values()]
+      .reduce((count, entry) => count + (entry.tasks ? entry.tasks.filter(Boolean).length : 1), 0);
+
     return {
       totalWorkers: this.workers.length,
-      readyWorkers: this.readyWorkers.size,
-      activeTasks: this.activeTasks.size,
-      queuedTasks: this.taskQueue.length,
-      isInitializing: this.isInitializing
+      readyWorkers: modelReady ? this.readyWorkers.size : 0,
+      activeTasks,
+      queuedTasks: this.taskQueue.length + this.inferenceQueue.length,
+      isInitializing: this.isInitializing,
+      modelId: this.modelId,
+      dtype: this.dtype,
+      executionMode: this.executionMode
     };
   }
 
   async terminate() {
     console.log('Terminating worker pool...');
+    clearInterval(this.heartbeatTimer);
 
     // Reject all pending tasks
-    for (const task of this.taskQueue) {
+    for (const task of [...this.taskQueue, ...this.inferenceQueue]) {
       task.reject(new Error('Worker pool terminated'));
     }
     this.taskQueue = [];
+    this.inferenceQueue = [];
 
     // Reject all active tasks
-    for (const task of this.activeTasks.values()) {
-      task.reject(new Error('Worker pool terminated'));
+    for (const worker of this.workers) {
+      for (const task of this.takeTasks(worker).filter(Boolean)) {
+        task.reject(new Error('Worker pool terminated'));
+      }
     }
     this.activeTasks.clear();
 
@@ -234,6 +1042,7 @@ class WorkerPool {
     }
     this.workers = [];
     this.readyWorkers.clear();
+    this.segmentWorkers.clear();
   }
 }
 
@@ -0,0 +1,90 @@
+// Messages exchanged between the worker pool and worker.js.
+//
+// Every message in either direction is an envelope:
+//   version  PROTOCOL_VERSION of the sender; mismatched messages are rejected
+//   id       Request id, echoed on every response so the pool can route without guessing
+//   type     One of REQUEST_TYPES (pool to worker) or RESPONSE_TYPES (worker to pool)
+//   payload  Request fields, progress details or the task output
+// Error responses carry `error: { code, stage, message }` instead of a payload.
+
+export const PROTOCOL_VERSION = 3;
+
+export const REQUEST_TYPES = {
+  init: 'init',
+  process: 'process',
+  refine: 'refine',
+  // Steps of the shared-model mode: helpers preprocess and composite, one worker runs batched inference
+  preprocess: 'preprocess',
+  infer: 'infer',
+  composite: 'composite',
+  segment: 'segment', // Point-prompted subject selection
+  ping: 'ping' // Heartbeat; answered with a pong even while a task is running
+};
+
+export const RESPONSE_TYPES = {
+  ready: 'ready',
+  progress: 'progress',
+  complete: 'complete',
+  error: 'error',
+  pong: 'pong'
+};
+
+// Stages a request goes through, mapped to the error code reported when it fails there
+export const ERROR_CODES = {
+  protocol: 'PROTOCOL_ERROR',
+  'model-load': 'MODEL_LOAD_FAILED',
+  'image-load': 'IMAGE_LOAD_FAILED',
+  inference: 'INFERENCE_FAILED',
+  postprocess: 'POSTPROCESS_FAILED',
+  encode: 'ENCODE_FAILED',
+  // Failures detected by the pool rather than reported by the worker
+  worker: 'WORKER_CRASHED',
+  watchdog: 'TASK_TIMEOUT',
+  heartbeat: 'WORKER_UNRESPONSIVE',
+  init: 'INIT_FAILED'
+};
+
+// Error thrown for a failed request, keeping the code and stage reported by the worker
+export class WorkerTaskError extends Error {
+  constructor({ code, stage, message }) {
+    super(message);
+    this.name = 'WorkerTaskError';
+    this.code = code;
+    this.stage = stage;
+  }
+}
+
+let nextId = 0;
+
+export function createRequestId(prefix = 'task') {
+  nextId += 1;
+  return `${prefix}_${Date.now()}_${nextId}`;
+}
+
+export function createMessage(type, id, payload = {}) {
+  return { version: PROTOCOL_VERSION, id, type, payload };
+}
+
+export function createErrorMessage(id, stage, message, code = ERROR_CODES[stage]) {
+  return { version: PROTOCOL_VERSION, id, type: RESPONSE_TYPES.error, error: { code, stage, message } };
+}
+
+/**
+ * Describe what is wrong with an incoming envelope, or return null when it can be handled.
+ * `types` is REQUEST_TYPES or RESPONSE_TYPES depending on the receiving side.
+ */
+export function validateMessage(message, types) {
+  if (!message || typeof message !== 'object') {
+    return 'Message is not an object';
+  }
+  if (message.version !== PROTOCOL_VERSION) {
+    return `Unsupported protocol version ${message.version} (expected ${PROTOCOL_VERSION})`;
+  }
+  if (typeof message.id !== 'string' || message.id === '') {
+    return 'Message has no id';
+  }
+  if (!Object.values(types).includes(message.type)) {
+    return `Unknown message type "${message.type}"`;
+  }
+  return null;
+}
@@ -1,209 +1,620 @@
-import { AutoModel, AutoProcessor, env, RawImage } from '@huggingface/transformers';
+import { AutoModel, AutoProcessor, SamModel, ImageProcessor, env, RawImage, Tensor, cat } from '@huggingface/transformers';
+import { modelConfig, getModelSources } from './model-config';
+import { DEFAULT_MODEL_ID, DEFAULT_DTYPE, SEGMENTER_MODEL, getModel, resolveDtype, outputToAlpha } from './models';
+import { isDefaultMaskSettings, isMattingEnabled, cleanupRegions, postprocessMask, decontaminateColors, REGION_CHANGES } from './mask-processing';
+import { REQUEST_TYPES, RESPONSE_TYPES, createMessage, createErrorMessage, validateMessage } from './worker-protocol';
 
-// Since we will download the model from the Hugging Face Hub, we can skip the local model check
-env.allowLocalModels = false;
+// Serve models from the configured local root first; the Hub is only used as a fallback
+env.localModelPath = modelConfig.localModelPath;
+if (modelConfig.remoteHost) {
+    env.remoteHost = modelConfig.remoteHost;
+}
 
 // Proxy the WASM backend to prevent the UI from freezing
 env.backends.onnx.wasm.proxy = true;
 
-// Use the Singleton pattern to enable lazy construction of the model and processor.
-class PipelineSingleton {
-    static modelName = 'briaai/RMBG-1.4';
-    static model = null;
-    static processor = null;
-
-    static async getInstance(progress_callback = null) {
-        if (!this.model || !this.processor) {
-            // Load model and processor
-            self.postMessage({
-                status: 'initiate',
-                message: 'Starting model download...'
-            });
+// Loads take turns: each one points the global `env` source flags at its current source, so a load
+// running alongside (e.g. the segmenter while the matting model downloads) would redirect it
+let sourceLoads = Promise.resolve();
 
-            // Track loading progress for model
-            let modelLoaded = false;
-            let processorLoaded = false;
-
-            const modelProgressCallback = (progress) => {
-                console.log('Model progress:', progress);
-                if (progress_callback) progress_callback(progress);
-
-                // Handle different progress types
-                if (progress.status === 'progress' && progress.file) {
-                    self.postMessage({
-                        status: 'progress',
-                        type: 'model',
-                        file: progress.file,
-                        progress: progress.progress,
-                        loaded: progress.loaded,
-                        total: progress.total,
-                        message: `Downloading model file: ${progress.file} (${Math.round(progress.progress)}%)`
-                    });
-                } else {
-                    // Forward any other progress information
-                    self.postMessage({
-                        status: 'progress',
-                        type: 'model',
-                        message: progress.message || `Model loading: ${progress.status}`,
-                        ...progress
-                    });
-                }
-            };
-
-            const processorProgressCallback = (progress) => {
-                console.log('Processor progress:', progress);
-                if (progress_callback) progress_callback(progress);
-
-                // Handle different progress types
-                if (progress.status === 'progress' && progress.file) {
-                    self.postMessage({
-                        status: 'progress',
-                        type: 'processor',
-                        file: progress.file,
-                        progress: progress.progress,
-                        loaded: progress.loaded,
-                        total: progress.total,
-                        message: `Downloading processor file: ${progress.file} (${Math.round(progress.progress * 100)}%)`
-                    });
-                } else {
-                    // Forward any other progress information
-                    self.postMessage({
-                        status: 'progress',
-                        type: 'processor',
-                        message: progress.message || `Processor loading: ${progress.status}`,
-                        ...progress
-                    });
-                }
-            };
+// Try each configured model source in turn, reporting which source and file failed
+function loadFromSources(kind, load, onProgress) {
+    const result = sourceLoads.then(() => tryModelSources(kind, load, onProgress));
+    sourceLoads = result.catch(() => {});
+    return result;
+}
 
-            try {
-                self.postMessage({
-                    status: 'progress',
-                    type: 'info',
-                    message: 'Loading model...'
-                });
+async function tryModelSources(kind, load, onProgress) {
+    const sources = getModelSources();
+    if (sources.length === 0) {
+        throw new Error(`Cannot load ${kind}: both local and remote model sources are disabled`);
+    }
 
-                this.model = await AutoModel.from_pretrained(this.modelName, {
-                    // Do not require config.json to be present in the repository
-                    config: { model_type: 'custom' },
-                    progress_callback: modelProgressCallback
-                });
+    const failures = [];
+    for (const source of sources) {
+        env.allowLocalModels = source.id === 'local';
+        env.allowRemoteModels = source.id === 'remote';
 
-                modelLoaded = true;
-                self.postMessage({
+        // Remember the last file requested so errors can name it
+        let currentFile = null;
+        const trackFile = (progress) => {
+            if (progress.file) currentFile = progress.file;
+        };
+
+        try {
+            return await load({ local_files_only: source.id === 'local' }, trackFile);
+        } catch (error) {
+            failures.push(`${kind} file "${currentFile ?? 'unknown'}" from ${source.description}: ${error.message}`);
+            if (source !== sources[sources.length - 1]) {
+                onProgress({
                     status: 'progress',
                     type: 'info',
-                    message: 'Model loaded successfully! Loading processor...'
+                    message: `Could not load ${kind} from ${source.description}, trying next source...`
                 });
+            }
+        }
+    }
 
-                this.processor = await AutoProcessor.from_pretrained(this.modelName, {
-                    // Do not require config.json to be present in the repository
-                    config: {
-                        do_normalize: true,
-                        do_pad: false,
-                        do_rescale: true,
-                        do_resize: true,
-                        image_mean: [0.5, 0.5, 0.5],
-                        feature_extractor_type: "ImageFeatureExtractor",
-                        image_std: [1, 1, 1],
-                        resample: 2,
-                        rescale_factor: 0.00392156862745098,
-                        size: { width: 1024, height: 1024 },
-                    },
-                    progress_callback: processorProgressCallback
-                });
+    throw new Error(`Failed to load ${failures.join('; ')}`);
+}
 
-                processorLoaded = true;
-                self.postMessage({
+// Processors are built from the registry entry alone, so helper workers can preprocess without the model
+const processors = new Map();
+
+function getProcessor(entry) {
+    if (!processors.has(entry.id)) {
+        processors.set(entry.id, new ImageProcessor(entry.processorConfig));
+    }
+    return processors.get(entry.id);
+}
+
+// Use the Singleton pattern to enable lazy construction of the model and processor.
+// One instance is kept per registry entry and precision so models can be switched without reloading.
+// Loading progress is reported to the request that started the load.
+class PipelineSingleton {
+    static instances = new Map();
+
+    static getInstance(modelId = DEFAULT_MODEL_ID, dtype = DEFAULT_DTYPE, onProgress = () => {}) {
+        const resolvedDtype = resolveDtype(modelId, dtype);
+        const key = `${modelId}:${resolvedDtype}`;
+        if (!this.instances.has(key)) {
+            const instance = this.load(modelId, resolvedDtype, onProgress);
+            // Forget failed loads so the next request retries
+            instance.catch(() => this.instances.delete(key));
+            this.instances.set(key, instance);
+        }
+        return this.instances.get(key);
+    }
+
+    static async load(modelId, dtype, onProgress) {
+        const entry = getModel(modelId);
+
+        // Load model and processor
+        onProgress({
+            status: 'initiate',
+            message: `Starting ${entry.label} (${dtype}) download...`
+        });
+
+        const modelProgressCallback = (progress) => {
+            console.log('Model progress:', progress);
+
+            // Handle different progress types
+            if (progress.status === 'progress' && progress.file) {
+                onProgress({
                     status: 'progress',
-                    type: 'info',
-                    message: 'Processor loaded successfully! Ready to process images.'
+                    type: 'model',
+                    file: progress.file,
+                    progress: progress.progress,
+                    loaded: progress.loaded,
+                    total: progress.total,
+                    message: `Downloading model file: ${progress.file} (${Math.round(progress.progress)}%)`
                 });
-
-                self.postMessage({
-                    status: 'ready',
-                    message: 'Model and processor are ready!'
+            } else {
+                // Forward any other progress information
+                onProgress({
+                    status: 'progress',
+                    type: 'model',
+                    message: progress.message || `Model loading: ${progress.status}`,
+                    ...progress
                 });
+            }
+        };
 
-            } catch (error) {
-                self.postMessage({
-                    status: 'error',
-                    error: `Failed to load ${modelLoaded ? 'processor' : 'model'}: ${error.message}`
+        onProgress({
+            status: 'progress',
+            type: 'info',
+            message: `Loading ${entry.label}...`
+        });
+
+        const model = await loadFromSources('model', (sourceOptions, trackFile) =>
+            AutoModel.from_pretrained(entry.repo, {
+                ...sourceOptions,
+                dtype,
+                // Do not require config.json to be present in the repository
+                config: { model_type: 'custom' },
+                progress_callback: (progress) => {
+                    trackFile(progress);
+                    modelProgressCallback(progress);
+                }
+            }),
+            onProgress
+        );
+
+        // The processor is built from the registry entry, so preprocessor_config.json is never fetched
+        const processor = getProcessor(entry);
+
+        onProgress({
+            status: 'progress',
+            type: 'info',
+            message: `${entry.label} loaded successfully! Ready to process images.`
+        });
+
+        return { model, processor, entry, dtype };
+    }
+}
+
+// The point-prompted segmenter is loaded on the first segment request, whatever the worker's role
+class SegmenterSingleton {
+    static instance = null;
+
+    static getInstance(onProgress = () => {}) {
+        if (!this.instance) {
+            this.instance = this.load(onProgress);
+            // Forget failed loads so the next request retries
+            this.instance.catch(() => {
+                this.instance = null;
+            });
+        }
+        return this.instance;
+    }
+
+    static async load(onProgress) {
+        const { label, repo, dtype } = SEGMENTER_MODEL;
+        onProgress({
+            status: 'progress',
+            type: 'info',
+            message: `Loading ${label}...`
+        });
+
+        const progress_callback = (progress) => {
+            if (progress.status === 'progress' && progress.file) {
+                onProgress({
+                    status: 'progress',
+                    type: 'model',
+                    file: progress.file,
+                    progress: progress.progress,
+                    message: `Downloading ${label} file: ${progress.file} (${Math.round(progress.progress)}%)`
                 });
-                throw error;
             }
+        };
+        const model = await loadFromSources('segmenter model', (sourceOptions, trackFile) =>
+            SamModel.from_pretrained(repo, {
+                ...sourceOptions,
+                dtype,
+                progress_callback: (progress) => {
+                    trackFile(progress);
+                    progress_callback(progress);
+                }
+            }),
+            onProgress
+        );
+        const processor = await loadFromSources('segmenter processor', (sourceOptions, trackFile) =>
+            AutoProcessor.from_pretrained(repo, { ...sourceOptions, progress_callback: trackFile }),
+            onProgress
+        );
+
+        return { model, processor };
+    }
+}
+
+// Image embeddings of the images most recently segmented, by image key. Computing them is the slow
+// part of a segment request, so the following prompts on the same image only run the mask decoder.
+const SEGMENT_CACHE_SIZE = 2;
+const segmentEmbeddings = new Map();
+
+async function getSegmentEmbeddings({ model, processor }, key, source, setStage) {
+    if (key !== null && segmentEmbeddings.has(key)) {
+        return segmentEmbeddings.get(key);
+    }
+
+    setStage('image-load');
+    const image = await readImage(source);
+    setStage('inference');
+    const inputs = await processor(image);
+    const embedded = {
+        width: image.width,
+        height: image.height,
+        inputs,
+        embeddings: await model.get_image_embeddings(inputs)
+    };
+
+    if (key !== null) {
+        segmentEmbeddings.delete(key);
+        segmentEmbeddings.set(key, embedded);
+        if (segmentEmbeddings.size > SEGMENT_CACHE_SIZE) {
+            segmentEmbeddings.delete(segmentEmbeddings.keys().next().value);
+        }
+    }
+    return embedded;
+}
+
+// Decode the mask for positive (label 1) and negative (label 0) points given in image pixels.
+// Returns the candidate mask the model scores highest, at the image's resolution.
+async function segmentPoints({ model, processor }, { width, height, inputs, embeddings }, points) {
+    const input_points = processor.reshape_input_points(
+        [[points.map(point => [point.x, point.y])]],
+        inputs.original_sizes,
+        inputs.reshaped_input_sizes
+    );
+    const input_labels = new Tensor(
+        'int64',
+        BigInt64Array.from(points, point => BigInt(point.label)),
+        [1, 1, points.length]
+    );
+
+    const outputs = await model({ ...embeddings, input_points, input_labels });
+    const [masks] = await processor.post_process_masks(outputs.pred_masks, inputs.original_sizes, inputs.reshaped_input_sizes);
+
+    const scores = outputs.iou_scores.data;
+    let best = 0;
+    for (let i = 1; i < scores.length; ++i) {
+        if (scores[i] > scores[best]) best = i;
+    }
+
+    // masks holds [1, candidates, height, width] booleans
+    const selected = masks[0][best].data;
+    const data = new Uint8ClampedArray(selected.length);
+    for (let i = 0; i < selected.length; ++i) {
+        data[i] = selected[i] ? 255 : 0;
+    }
+    return { width, height, data, score: scores[best] };
+}
+
+// Progress messages for the slow post-processing steps; each one re-arms the pool's task watchdog
+const POSTPROCESS_STEP_MESSAGES = {
+    cleanup: 'Cleaning up mask regions...',
+    detail: 'Refining edge detail...',
+    matting: 'Matting fine edges...',
+    choke: 'Adjusting the mask edge...',
+    feather: 'Feathering the mask edge...',
+    encode: 'Encoding the cutout...'
+};
+
+// Report a post-processing step as task progress through `onProgress`
+function createStepReporter(onProgress) {
+    return (step) => onProgress({
+        status: 'progress',
+        type: 'postprocess',
+        step,
+        message: POSTPROCESS_STEP_MESSAGES[step]
+    });
+}
+
+// Apply the mask post-processing settings, starting with the region cleanup of the scaled matte.
+// `image` is the full-resolution RawImage the matte was scaled to, used for detail refinement and matting.
+// `processedMask` is null when there is nothing to change; `regionChanges` is the map from cleanupRegions.
+function applyMaskSettings(alpha, width, height, maskSettings, image, onStep = () => {}) {
+    if (isDefaultMaskSettings(maskSettings)) {
+        return { processedMask: null, regionChanges: null };
+    }
+    console.log('Worker: Post-processing mask', maskSettings);
+    onStep('cleanup');
+    const { mask, changes } = cleanupRegions(alpha, width, height, maskSettings);
+    return {
+        processedMask: postprocessMask(mask, width, height, maskSettings, image.rgba().data, onStep),
+        regionChanges: changes
+    };
+}
+
+// Overlay colors of the pixels changed by the region cleanup
+const REGION_PREVIEW_COLORS = {
+    [REGION_CHANGES.removed]: [239, 68, 68, 200],
+    [REGION_CHANGES.filled]: [34, 197, 94, 200]
+};
+
+// Encode the regions removed or filled by the cleanup as a transparent PNG overlay for the mask view
+async function encodeRegionPreview(changes, width, height) {
+    if (!changes) {
+        return null;
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < changes.length; ++i) {
+        const color = REGION_PREVIEW_COLORS[changes[i]];
+        if (color) {
+            data.set(color, 4 * i);
         }
-        return { model: this.model, processor: this.processor };
     }
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    const blob = await canvas.convertToBlob();
+    return blob.arrayBuffer();
+}
+
+// Decode an image input: a URL, a Blob (or File) or an ImageBitmap
+async function readImage(source) {
+    if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+        const canvas = new OffscreenCanvas(source.width, source.height);
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        // The bitmap was transferred or copied to this worker and is not needed again
+        source.close();
+        return RawImage.fromCanvas(canvas);
+    }
+    return RawImage.read(source);
+}
+
+// Write the alpha values into the original image and encode the cutout as PNG.
+// The decoded pixels are not used afterwards, so they are edited in place instead of copied.
+async function buildCutout(image, alpha, maskSettings) {
+    const { data } = image.rgba();
+
+    // Update alpha channel with the mask
+    for (let i = 0; i < alpha.length; ++i) {
+        data[4 * i + 3] = alpha[i];
+    }
+
+    // Remove background spill from semi-transparent edges
+    if (maskSettings?.decontaminate > 0) {
+        console.log('Worker: Decontaminating edge colors');
+        decontaminateColors(data, image.width, image.height, maskSettings.decontaminate);
+    }
+
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    canvas.getContext('2d').putImageData(new ImageData(data, image.width, image.height), 0, 0);
+
+    // Convert canvas to blob
+    const blob = await canvas.convertToBlob();
+    return blob.arrayBuffer();
+}
+
+// With matting enabled, also build the cutout without it so the two can be compared.
+// Must run before buildCutout, which edits the image pixels in place.
+async function buildUnmattedCutout(image, alpha, width, height, maskSettings, onStep) {
+    if (!isMattingEnabled(maskSettings)) {
+        return null;
+    }
+    const copy = new RawImage(new Uint8ClampedArray(image.rgba().data), image.width, image.height, 4);
+    const settings = { ...maskSettings, mattingInner: 0, mattingOuter: 0 };
+    const mask = applyMaskSettings(alpha, width, height, settings, copy, onStep).processedMask ?? alpha;
+    onStep('encode');
+    return buildCutout(copy, mask, settings);
+}
+
+// Models whose export fixes the batch dimension to 1, found when a batched run fails
+const unbatchedModels = new Set();
+
+// Run the model on one input tensor; returns one matte per batch entry at the model's output resolution
+async function runModel(model, entry, pixel_values) {
+    const outputs = await model({ [entry.inputName]: pixel_values });
+    const output = entry.outputName ? outputs[entry.outputName] : Object.values(outputs)[0];
+
+    const [height, width] = output.dims.slice(-2);
+    const masks = [];
+    for (let i = 0; i < output.dims[0]; ++i) {
+        masks.push({ width, height, data: outputToAlpha(output[i], entry.maskPostprocess) });
+    }
+    return masks;
+}
+
+// Predict mattes for preprocessed inputs of equal size, stacking them into one batch when the model allows it
+async function predictMasks({ model, entry, dtype }, inputs) {
+    const key = `${entry.id}:${dtype}`;
+    if (inputs.length > 1 && !unbatchedModels.has(key)) {
+        try {
+            return await runModel(model, entry, cat(inputs, 0));
+        } catch (error) {
+            console.warn(`Worker: Batched inference is not supported by ${entry.label}, running images one at a time`, error);
+            unbatchedModels.add(key);
+        }
+    }
+
+    const masks = [];
+    for (const input of inputs) {
+        masks.push(...await runModel(model, entry, input));
+    }
+    return masks;
+}
+
+// Scale a model matte to the image, post-process it and build the cutout, reporting each step to `onStep`.
+// Returns the `complete` payload, which carries `meta` along, and the buffers to transfer.
+async function compositeResult(image, modelMask, maskSettings, meta, setStage, onStep) {
+    // Resize mask back to original size
+    console.log('Worker: Resizing mask');
+    setStage('postprocess');
+    const mask = await new RawImage(modelMask.data, modelMask.width, modelMask.height, 1)
+        .resize(image.width, image.height);
+
+    // The raw matte is kept as is; post-processing only affects the cutout
+    const { processedMask, regionChanges } = applyMaskSettings(mask.data, mask.width, mask.height, maskSettings, image, onStep);
+
+    setStage('encode');
+    const unmattedImageData = await buildUnmattedCutout(image, mask.data, mask.width, mask.height, maskSettings, onStep);
+    const regionPreview = await encodeRegionPreview(regionChanges, mask.width, mask.height);
+    onStep('encode');
+    const arrayBuffer = await buildCutout(image, processedMask ?? mask.data, maskSettings);
+
+    // Send the result back to the main thread, along with the grayscale matte itself
+    const maskBuffer = mask.data.buffer;
+    const transfer = [arrayBuffer, maskBuffer];
+    if (processedMask) {
+        transfer.push(processedMask.buffer);
+    }
+    for (const buffer of [unmattedImageData, regionPreview]) {
+        if (buffer) {
+            transfer.push(buffer);
+        }
+    }
+    return {
+        payload: {
+            ...meta,
+            width: image.width,
+            height: image.height,
+            imageData: arrayBuffer,
+            unmattedImageData,
+            regionPreview,
+            mask: {
+                width: mask.width,
+                height: mask.height,
+                data: maskBuffer
+            },
+            processedMask: processedMask && {
+                width: mask.width,
+                height: mask.height,
+                data: processedMask.buffer
+            }
+        },
+        transfer
+    };
+}
+
+// Send a response to the request `id`
+function respond(id, type, payload, transfer = []) {
+    self.postMessage(createMessage(type, id, payload), transfer);
 }
 
 // Listen for messages from the main thread
 self.addEventListener('message', async (event) => {
+    const request = event.data;
+    const problem = validateMessage(request, REQUEST_TYPES);
+    if (problem) {
+        console.error('Worker: Rejecting message:', problem);
+        self.postMessage(createErrorMessage(request?.id ?? null, 'protocol', problem));
+        return;
+    }
+
+    const { id, type, payload } = request;
+    if (type === REQUEST_TYPES.ping) {
+        respond(id, RESPONSE_TYPES.pong);
+        return;
+    }
+
+    const onProgress = (progress) => respond(id, RESPONSE_TYPES.progress, progress);
+    const onStep = createStepReporter(onProgress);
+
+    // Advanced as the request goes on, so errors report the stage that failed
+    let stage = 'model-load';
+    const setStage = (next) => {
+        stage = next;
+    };
     try {
-        // Handle different message types
-        if (event.data.type === 'init') {
-            // Initialize model and processor
-            await PipelineSingleton.getInstance(x => {
-                // Track model loading progress
-                self.postMessage(x);
+        if (type === REQUEST_TYPES.init) {
+            // Helpers of the shared-model mode never load the model
+            if (payload.role !== 'helper') {
+                await PipelineSingleton.getInstance(payload.modelId, payload.dtype, onProgress);
+            }
+
+            respond(id, RESPONSE_TYPES.ready, {
+                message: 'Model and processor are ready!'
             });
-        } else if (event.data.imageUrl) {
+        } else if (type === REQUEST_TYPES.refine) {
+            // Re-apply mask post-processing to an existing matte without running the model
+            console.log('Worker: Refining mask');
+            stage = 'image-load';
+            const image = await readImage(payload.image);
+
+            stage = 'postprocess';
+            const { width, height, data } = payload.mask;
+            const baseMask = new Uint8ClampedArray(data);
+            const settings = applyMaskSettings(baseMask, width, height, payload.maskSettings, image, onStep);
+            const processedMask = settings.processedMask ?? baseMask;
+
+            stage = 'encode';
+            const unmattedImageData = await buildUnmattedCutout(image, baseMask, width, height, payload.maskSettings, onStep);
+            const regionPreview = await encodeRegionPreview(settings.regionChanges, width, height);
+            onStep('encode');
+            const arrayBuffer = await buildCutout(image, processedMask, payload.maskSettings);
+
+            const processedBuffer = processedMask.buffer;
+            const transfer = [arrayBuffer, processedBuffer];
+            for (const buffer of [unmattedImageData, regionPreview]) {
+                if (buffer) {
+                    transfer.push(buffer);
+                }
+            }
+            respond(id, RESPONSE_TYPES.complete, {
+                width,
+                height,
+                imageData: arrayBuffer,
+                unmattedImageData,
+                regionPreview,
+                processedMask: { width, height, data: processedBuffer }
+            }, transfer);
+        } else if (type === REQUEST_TYPES.segment) {
+            // Select a subject from point prompts; only the first prompt on an image computes its embeddings
+            const segmenter = await SegmenterSingleton.getInstance(onProgress);
+            const embedded = await getSegmentEmbeddings(segmenter, payload.key ?? null, payload.image, setStage);
+
+            console.log(`Worker: Segmenting with ${payload.points.length} point(s)`);
+            stage = 'inference';
+            const { width, height, data, score } = await segmentPoints(segmenter, embedded, payload.points);
+            respond(id, RESPONSE_TYPES.complete, {
+                score,
+                mask: { width, height, data: data.buffer }
+            }, [data.buffer]);
+        } else if (type === REQUEST_TYPES.preprocess) {
+            // Shared-model mode, first step: decode and normalize the image for the inference worker
+            console.log('Worker: Preprocessing image for batched inference');
+            stage = 'image-load';
+            const image = await readImage(payload.image);
+
+            stage = 'inference';
+            const { pixel_values } = await getProcessor(getModel(payload.modelId))(image);
+            respond(id, RESPONSE_TYPES.complete, {
+                width: image.width,
+                height: image.height,
+                pixelValues: { data: pixel_values.data, dims: pixel_values.dims }
+            }, [pixel_values.data.buffer]);
+        } else if (type === REQUEST_TYPES.infer) {
+            // Shared-model mode, second step: one model run for every queued input of the same size
+            const pipeline = await PipelineSingleton.getInstance(payload.modelId, payload.dtype, onProgress);
+
+            console.log(`Worker: Running ${pipeline.entry.label} prediction on a batch of ${payload.inputs.length}`);
+            stage = 'inference';
+            const inputs = payload.inputs.map(({ data, dims }) => new Tensor('float32', data, dims));
+            const masks = await predictMasks(pipeline, inputs);
+            respond(id, RESPONSE_TYPES.complete, {
+                modelId: pipeline.entry.id,
+                dtype: pipeline.dtype,
+                masks
+            }, masks.map(mask => mask.data.buffer));
+        } else if (type === REQUEST_TYPES.composite) {
+            // Shared-model mode, last step: turn the matte into the cutout
+            stage = 'image-load';
+            const image = await readImage(payload.image);
+            const { payload: output, transfer } = await compositeResult(image, payload.mask, payload.maskSettings, {
+                modelId: payload.modelId,
+                dtype: payload.dtype
+            }, setStage, onStep);
+            respond(id, RESPONSE_TYPES.complete, output, transfer);
+        } else {
             // Process image
             console.log('Worker: Starting image processing');
-            const { model, processor } = await PipelineSingleton.getInstance(x => {
-                // Track model loading progress
-                self.postMessage(x);
-            });
+            const pipeline = await PipelineSingleton.getInstance(payload.modelId, payload.dtype, onProgress);
+            const { processor, entry, dtype } = pipeline;
 
-            // Read image from data URL
-            console.log('Worker: Loading image from URL');
-            const image = await RawImage.fromURL(event.data.imageUrl);
+            // Decode the uploaded file, bitmap or URL
+            console.log('Worker: Loading image');
+            stage = 'image-load';
+            const image = await readImage(payload.image);
 
             // Preprocess image
             console.log('Worker: Preprocessing image');
+            stage = 'inference';
             const { pixel_values } = await processor(image);
 
             // Predict alpha matte
-            console.log('Worker: Running model prediction');
-            const { output } = await model({ input: pixel_values });
-
-            // Resize mask back to original size
-            console.log('Worker: Resizing mask');
-            const mask = await RawImage.fromTensor(output[0].mul(255).to('uint8')).resize(image.width, image.height);
-
-            // Create canvas to process the result
-            const canvas = new OffscreenCanvas(image.width, image.height);
-            const ctx = canvas.getContext('2d');
+            console.log(`Worker: Running ${entry.label} prediction`);
+            const [modelMask] = await predictMasks(pipeline, [pixel_values]);
 
-            // Draw original image to canvas
-            const imgBitmap = await createImageBitmap(image.toCanvas());
-            ctx.drawImage(imgBitmap, 0, 0);
-
-            // Update alpha channel with the mask
-            const pixelData = ctx.getImageData(0, 0, image.width, image.height);
-            for (let i = 0; i < mask.data.length; ++i) {
-                pixelData.data[4 * i + 3] = mask.data[i];
-            }
-            ctx.putImageData(pixelData, 0, 0);
-
-            // Convert canvas to blob
-            const blob = await canvas.convertToBlob();
-            const arrayBuffer = await blob.arrayBuffer();
-
-            // Send the result back to the main thread
-            self.postMessage({
-                status: 'complete',
-                output: {
-                    width: image.width,
-                    height: image.height,
-                    imageData: arrayBuffer
-                },
-            });
+            const { payload: output, transfer } = await compositeResult(image, modelMask, payload.maskSettings, {
+                modelId: entry.id,
+                dtype
+            }, setStage, onStep);
+            respond(id, RESPONSE_TYPES.complete, output, transfer);
         }
     } catch (error) {
-        self.postMessage({
-            status: 'error',
-            error: error.message
-        });
+        console.error(`Worker: Request ${id} failed during ${stage}:`, error);
+        self.postMessage(createErrorMessage(id, stage, error.message));
     }
 });
@@ -0,0 +1,175 @@
+// Minimal ZIP writer for exporting processed images in the browser.
+// Entries are stored uncompressed: PNG, WebP, JPEG and AVIF are already compressed,
+// so deflating them again costs time without saving space.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// The classic format stores sizes and offsets in 32 bits; we do not write ZIP64
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Sink that collects the archive as Blob parts; the browser may page large Blobs to disk
+ */
+export function createBlobSink() {
+  const parts = [];
+  return {
+    async write(chunk) {
+      parts.push(chunk);
+    },
+    async close() {},
+    async abort() {},
+    getBlob() {
+      return new Blob(parts, { type: 'application/zip' });
+    }
+  };
+}
+
+/**
+ * Sink that streams the archive straight to a file chosen by the user.
+ * Returns null when the File System Access API is unavailable; dismissing the picker throws an AbortError.
+ */
+export async function createFileSink(suggestedName) {
+  if (typeof window === 'undefined' || !window.showSaveFilePicker) {
+    return null;
+  }
+
+  const handle = await window.showSaveFilePicker({
+    suggestedName,
+    types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+  });
+  const writable = await handle.createWritable();
+  return {
+    write: (chunk) => writable.write(chunk),
+    close: () => writable.close(),
+    // Discards what was written instead of leaving a truncated archive on disk
+    abort: () => writable.abort()
+  };
+}
+
+export class ZipWriter {
+  constructor(sink) {
+    this.sink = sink;
+    this.entries = [];
+    this.offset = 0;
+    this.closed = false;
+  }
+
+  async add(name, blob, lastModified = new Date()) {
+    if (this.closed) {
+      throw new Error('Cannot add entries to a closed ZIP archive');
+    }
+    if (this.entries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP archives are limited to ${MAX_ZIP_ENTRIES} entries`);
+    }
+
+    const nameBytes = new TextEncoder().encode(name);
+    // Only one entry's bytes are held in memory at a time
+    const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+    const { time, date } = toDosDateTime(lastModified);
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034B50, true); // Local file header signature
+    view.setUint16(4, 20, true); // Version needed to extract
+    view.setUint16(6, 0x0800, true); // UTF-8 file names
+    view.setUint16(8, 0, true); // Stored (no compression)
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, blob.size, true); // Compressed size
+    view.setUint32(22, blob.size, true); // Uncompressed size
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true); // Extra field length
+    header.set(nameBytes, 30);
+
+    if (this.offset + header.length + blob.size > MAX_ZIP_SIZE) {
+      throw new Error('ZIP archive would exceed 4 GB; export fewer images at a time');
+    }
+
+    this.entries.push({ nameBytes, crc, size: blob.size, time, date, offset: this.offset });
+    await this.sink.write(header);
+    await this.sink.write(blob);
+    this.offset += header.length + blob.size;
+  }
+
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    const centralStart = this.offset;
+    for (const entry of this.entries) {
+      const record = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x02014B50, true); // Central directory header signature
+      view.setUint16(4, 20, true); // Version made by
+      view.setUint16(6, 20, true); // Version needed to extract
+      view.setUint16(8, 0x0800, true); // UTF-8 file names
+      view.setUint16(10, 0, true); // Stored (no compression)
+      view.setUint16(12, entry.time, true);
+      view.setUint16(14, entry.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      // Extra field, comment, disk number, internal and external attributes stay zero
+      view.setUint32(42, entry.offset, true);
+      record.set(entry.nameBytes, 46);
+
+      await this.sink.write(record);
+      this.offset += record.length;
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054B50, true); // End of central directory signature
+    view.setUint16(8, this.entries.length, true); // Entries on this disk
+    view.setUint16(10, this.entries.length, true); // Total entries
+    view.setUint32(12, this.offset - centralStart, true); // Central directory size
+    view.setUint32(16, centralStart, true); // Central directory offset
+
+    await this.sink.write(end);
+    await this.sink.close();
+  }
+}
+
+/**
+ * Make a file name unique within an archive by appending a counter before the extension
+ */
+export function getUniqueEntryName(name, usedNames) {
+  let candidate = name;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = name.replace(/(\.[^/.]+)?$/, (ext) => `-${counter}${ext}`);
+    counter++;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
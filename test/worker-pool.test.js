@@ -0,0 +1,271 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The pool module builds its singleton on import and sizes it from the browser's core count
+globalThis.navigator ??= { hardwareConcurrency: 4 };
+
+const { WorkerPool } = await import('../app/worker-pool.js');
+const { ERROR_CODES, PROTOCOL_VERSION, WorkerTaskError, createErrorMessage, createMessage } =
+  await import('../app/worker-protocol.js');
+
+// Stand-in for worker.js: answers init with `initProgress` and then ready, or `loadError` if set,
+// and hands task requests to `onRequest`. Inits for which `holdInit(message)` is true stay unanswered.
+class MockWorker extends EventTarget {
+  constructor(onRequest = () => {}, { initProgress = [], loadError = null, holdInit = () => false } = {}) {
+    super();
+    this.onRequest = onRequest;
+    this.initProgress = initProgress;
+    this.loadError = loadError;
+    this.holdInit = holdInit;
+    this.requests = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.requests.push(message);
+    if (message.type === 'init') {
+      if (this.holdInit(message)) {
+        return;
+      }
+      for (const progress of this.initProgress) {
+        this.reply(createMessage('progress', message.id, progress));
+      }
+      this.reply(this.loadError
+        ? createErrorMessage(message.id, 'model-load', this.loadError)
+        : createMessage('ready', message.id, {}));
+    } else if (message.type !== 'ping') {
+      this.onRequest(message, this);
+    }
+  }
+
+  // Like a real worker, a terminated one sends nothing more
+  reply(data) {
+    queueMicrotask(() => {
+      if (!this.terminated) {
+        this.dispatchEvent(Object.assign(new Event('message'), { data }));
+      }
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+let pool;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  pool?.terminate();
+  pool = null;
+  mock.restoreAll();
+});
+
+const flushMessages = () => new Promise(resolve => setImmediate(resolve));
+
+// Start a single-worker pool; returns every worker it creates, including replacements
+function createPool(onRequest, { onInitProgress, ...workerOptions } = {}) {
+  const workers = [];
+  pool = new WorkerPool(1, () => {
+    const worker = new MockWorker(onRequest, workerOptions);
+    workers.push(worker);
+    return worker;
+  });
+  pool.initialize(onInitProgress);
+  return workers;
+}
+
+test('routes responses to the request with the same id', async () => {
+  createPool((message, worker) => {
+    // A response for another request arrives first and must not settle this one
+    worker.reply(createMessage('complete', 'task_unknown', { image: 'stray' }));
+    worker.reply(createMessage('complete', message.id, { image: message.payload.image }));
+  });
+
+  const first = await pool.processImage('first.png');
+  const second = await pool.processImage('second.png');
+
+  assert.equal(first.output.image, 'first.png');
+  assert.equal(second.output.image, 'second.png');
+  assert.notEqual(first.id, second.id);
+});
+
+test('keeps init progress apart from task progress', async () => {
+  const initProgress = [];
+  const taskProgress = [];
+  createPool(
+    (message, worker) => {
+      worker.reply(createMessage('progress', message.id, { message: 'task step' }));
+      worker.reply(createMessage('complete', message.id, {}));
+    },
+    {
+      initProgress: [{ message: 'loading model' }],
+      onInitProgress: (progress) => initProgress.push(progress.message)
+    }
+  );
+
+  await pool.processImage('image.png', (progress) => taskProgress.push(progress.message));
+
+  assert.deepEqual(initProgress, ['loading model']);
+  assert.deepEqual(taskProgress, ['task step']);
+});
+
+test('rejects responses with a wrong protocol version', async () => {
+  createPool((message, worker) => {
+    worker.reply({ ...createMessage('complete', message.id, {}), version: PROTOCOL_VERSION + 1 });
+  });
+
+  await assert.rejects(pool.processImage('image.png'), (error) => {
+    assert.ok(error instanceof WorkerTaskError);
+    assert.equal(error.code, ERROR_CODES.protocol);
+    assert.match(error.message, /protocol version/);
+    return true;
+  });
+});
+
+test('rejects responses of an unknown type', async () => {
+  createPool((message, worker) => {
+    worker.reply(createMessage('finished', message.id, {}));
+  });
+
+  await assert.rejects(pool.processImage('image.png'), (error) => {
+    assert.ok(error instanceof WorkerTaskError);
+    assert.equal(error.code, ERROR_CODES.protocol);
+    assert.match(error.message, /Unknown message type "finished"/);
+    return true;
+  });
+});
+
+test('reports worker errors as structured errors', async () => {
+  createPool((message, worker) => {
+    worker.reply(createErrorMessage(message.id, 'inference', 'Out of memory'));
+  });
+
+  await assert.rejects(pool.processImage('image.png'), (error) => {
+    assert.ok(error instanceof WorkerTaskError);
+    assert.deepEqual(
+      { code: error.code, stage: error.stage, message: error.message },
+      { code: ERROR_CODES.inference, stage: 'inference', message: 'Out of memory' }
+    );
+    return true;
+  });
+});
+
+test('retries a failed init with backoff, then rejects queued and new tasks', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const initProgress = [];
+  const workers = createPool(() => {}, {
+    loadError: 'Network error',
+    onInitProgress: (progress) => initProgress.push(progress.status)
+  });
+  const isInitError = (error) => {
+    assert.ok(error instanceof WorkerTaskError);
+    assert.equal(error.code, ERROR_CODES.init);
+    assert.match(error.message, /Network error/);
+    return true;
+  };
+
+  const queued = assert.rejects(pool.processImage('image.png'), isInitError);
+  await flushMessages();
+  assert.equal(workers.length, 1);
+  assert.equal(pool.getHealth().workers[0].state, 'restarting');
+
+  t.mock.timers.tick(1000);
+  await flushMessages();
+  assert.equal(workers.length, 2);
+
+  t.mock.timers.tick(2000);
+  await flushMessages();
+  assert.equal(workers.length, 3);
+  assert.equal(pool.getHealth().workers[0].state, 'failed');
+  assert.deepEqual(initProgress, ['error']);
+
+  await queued;
+  await assert.rejects(pool.processImage('later.png'), isInitError);
+});
+
+test('forgets the worker holding an image\'s embeddings when the image or the worker goes away', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const workers = createPool((message, worker) => {
+    worker.reply(createMessage('complete', message.id, { score: 1, mask: {} }));
+  });
+  await flushMessages();
+
+  await pool.segmentImage('first.png', [{ x: 1, y: 1, label: 1 }], null, { key: 'first' });
+  await pool.segmentImage('second.png', [{ x: 1, y: 1, label: 1 }], null, { key: 'second' });
+  assert.deepEqual([...pool.segmentWorkers.keys()], ['first', 'second']);
+
+  pool.forgetKey('first');
+  assert.deepEqual([...pool.segmentWorkers.keys()], ['second']);
+
+  workers[0].dispatchEvent(Object.assign(new Event('error'), { message: 'Crashed' }));
+  assert.equal(pool.segmentWorkers.size, 0);
+});
+
+test('switches queued tasks waiting for the shared model to the new precision', async () => {
+  let holdInference = true;
+  const inferDtypes = [];
+  createPool((message, worker) => {
+    if (message.type === 'preprocess') {
+      worker.reply(createMessage('complete', message.id, {
+        width: 1,
+        height: 1,
+        pixelValues: { data: new Float32Array(3), dims: [1, 3, 1, 1] }
+      }));
+    } else if (message.type === 'infer') {
+      inferDtypes.push(message.payload.dtype);
+      const masks = message.payload.inputs.map(() => ({ width: 1, height: 1, data: new Uint8ClampedArray(1) }));
+      worker.reply(createMessage('complete', message.id, { modelId: message.payload.modelId, dtype: message.payload.dtype, masks }));
+    } else {
+      worker.reply(createMessage('complete', message.id, {}));
+    }
+  }, {
+    holdInit: (message) => message.payload.role === 'inference' && holdInference
+  });
+  pool.setExecutionMode('shared');
+
+  // The inference worker is still loading, so the preprocessed task waits in the inference queue
+  const result = pool.processImage('image.png');
+  await flushMessages();
+  assert.equal(pool.inferenceQueue.length, 1);
+
+  holdInference = false;
+  pool.setPrecision('q8');
+  await result;
+
+  assert.deepEqual(inferDtypes, ['q8']);
+});
+
+test('recycles an idle worker that stops answering pings', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+  createPool(() => {});
+  await flushMessages();
+
+  // The first check sends a ping, which the mock never answers
+  t.mock.timers.tick(5000);
+  t.mock.timers.tick(35000);
+  assert.equal(pool.getHealth().workers[0].state, 'restarting');
+});
+
+test('leaves a worker blocked in a task to the task watchdog', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+  const workers = createPool(() => {});
+  const task = assert.rejects(pool.processImage('large.png', null, { maxAttempts: 1 }), (error) => {
+    assert.equal(error.code, ERROR_CODES.watchdog);
+    return true;
+  });
+  await flushMessages();
+
+  // Well past the heartbeat timeout, but within the task timeout
+  t.mock.timers.tick(60000);
+  assert.equal(workers.length, 1);
+  assert.equal(pool.getHealth().workers[0].state, 'busy');
+
+  t.mock.timers.tick(60000);
+  await task;
+});